@@ -0,0 +1,69 @@
+/**
+ * Put the MediaPipe WASM runtime and landmarker models in public/mediapipe/
+ * so the app can run without internet (VITE_MEDIAPIPE_ASSETS=local):
+ *
+ *   npm run mediapipe:assets            # skips models already downloaded
+ *   npm run mediapipe:assets -- --force # downloads the models again
+ *
+ * The WASM files are copied from the installed @mediapipe/tasks-vision, the
+ * models (all pose variants, so any can be chosen offline) are downloaded
+ * once from Google's model storage.
+ */
+
+import { copyFile, mkdir, readFile, stat, writeFile } from "node:fs/promises";
+import { dirname, join } from "node:path";
+import { fileURLToPath } from "node:url";
+import { MEDIAPIPE_VERSION, MODEL_CDN, WASM_FILES, POSE_MODELS, MODELS } from "../src/utils/mediapipeAssets.js";
+
+const ROOT = join(dirname(fileURLToPath(import.meta.url)), "..");
+const PACKAGE_DIR = join(ROOT, "node_modules", "@mediapipe", "tasks-vision");
+const OUT_DIR = join(ROOT, "public", "mediapipe");
+
+const force = process.argv.includes("--force");
+
+async function exists(path) {
+  try {
+    return (await stat(path)).size > 0;
+  } catch {
+    return false;
+  }
+}
+
+async function copyWasm() {
+  const { version } = JSON.parse(await readFile(join(PACKAGE_DIR, "package.json"), "utf8"));
+  if (version !== MEDIAPIPE_VERSION) {
+    // Copying these would pair the bundled runtime with other WASM files
+    throw new Error(`Installed @mediapipe/tasks-vision is ${version}, the app uses ${MEDIAPIPE_VERSION} (run npm install)`);
+  }
+  await mkdir(join(OUT_DIR, "wasm"), { recursive: true });
+  for (const file of WASM_FILES) {
+    await copyFile(join(PACKAGE_DIR, "wasm", file), join(OUT_DIR, "wasm", file));
+    console.log(`wasm/${file} copied`);
+  }
+}
+
+async function downloadModels() {
+  await mkdir(join(OUT_DIR, "models"), { recursive: true });
+  for (const { file, cdnPath } of [...Object.values(POSE_MODELS), ...Object.values(MODELS)]) {
+    const path = join(OUT_DIR, "models", file);
+    if (!force && await exists(path)) {
+      console.log(`models/${file} already there`);
+      continue;
+    }
+    const res = await fetch(`${MODEL_CDN}/${cdnPath}`).catch((e) => {
+      throw new Error(`Downloading ${file} failed: ${e.cause?.message || e.message}`);
+    });
+    if (!res.ok) throw new Error(`Downloading ${file} failed: HTTP ${res.status}`);
+    await writeFile(path, Buffer.from(await res.arrayBuffer()));
+    console.log(`models/${file} downloaded`);
+  }
+}
+
+try {
+  await copyWasm();
+  await downloadModels();
+  console.log(`MediaPipe files are in ${OUT_DIR}`);
+} catch (e) {
+  console.error(e.message);
+  process.exitCode = 1;
+}
@@ -2,6 +2,7 @@ import { useState, useEffect, useCallback } from "react";
 import MagicMirror from "./components/MagicMirror";
 import AdminPage from "./components/AdminPage";
 import DebugMirror from "./components/DebugMirror";
+import RecognizePage from "./components/RecognizePage";
 import { getAllWords, getWord } from "./utils/storage";
 import BUILTIN_WORDS from "./words";
 
@@ -12,6 +13,7 @@ const PAGE = {
   SELECT: "select",
   PRACTICE: "practice",
   ADMIN: "admin",
+  RECOGNIZE: "recognize",
 };
 
 export default function App() {
@@ -62,8 +64,10 @@ export default function App() {
       setSelectedWord({
         id: word.id,
         label: word.label,
+        category: word.category,
         videoPath: word.videoPath,
         refDataPath: word.refDataPath,
+        scoring: word.scoring || {},
         source: "builtin",
       });
       setPage(PAGE.PRACTICE);
@@ -78,8 +82,11 @@ export default function App() {
         setSelectedWord({
           id: full.id,
           label: full.label,
+          category: full.category,
           videoPath: videoUrl,
           refData: full.refData,
+          exemplars: full.exemplars || [],
+          scoring: full.scoring || {},
           source: "custom",
           _blobUrl: full.videoBlob ? videoUrl : null,
         });
@@ -104,6 +111,20 @@ export default function App() {
     return <AdminPage onBack={handleBackFromAdmin} />;
   }
 
+  // === RECOGNITION PAGE ===
+  if (page === PAGE.RECOGNIZE) {
+    return (
+      <RecognizePage
+        onBack={() => setPage(PAGE.SELECT)}
+        onPractice={(id) => {
+          const word = allWords.find((w) => w.id === id);
+          if (word) handleSelectWord(word);
+          else setPage(PAGE.SELECT);
+        }}
+      />
+    );
+  }
+
   // === PRACTICE PAGE ===
   if (page === PAGE.PRACTICE && selectedWord) {
     return <MagicMirror word={selectedWord} onBack={handleBackToMenu} />;
@@ -159,9 +180,16 @@ export default function App() {
         )}
 
         <div className="select-footer">
-          <button className="admin-link" onClick={() => setPage(PAGE.ADMIN)}>
-            ⚙ MANAGE WORDS
-          </button>
+          <div className="footer-links">
+            {allWords.length > 0 && (
+              <button className="admin-link" onClick={() => setPage(PAGE.RECOGNIZE)}>
+                🔍 WHAT SIGN IS THIS?
+              </button>
+            )}
+            <button className="admin-link" onClick={() => setPage(PAGE.ADMIN)}>
+              ⚙ MANAGE WORDS
+            </button>
+          </div>
           <div className="footer-text">
             PROTOTYPE · INCLUSIVE TECHNOLOGIES GROUP · QUT
           </div>
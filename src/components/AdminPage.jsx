@@ -1,9 +1,18 @@
 import { useState, useEffect, useRef, useCallback } from "react";
-import { getAllWords, getWord, saveWord, deleteWord } from "../utils/storage";
+import { getAllWords, getWord, saveWord, deleteWord, updateExemplars, updateScoring } from "../utils/storage";
+import { SCORING_PROFILES } from "../utils/scoringProfiles";
 import { processVideo } from "../utils/videoProcessor";
+import { findSimilarSigns } from "../utils/library";
 import BUILTIN_WORDS from "../words";
 import "./AdminPage.css";
 
+// Hand the signer in a reference video leads with (refData.dominantHand),
+// so scoring orients it correctly for learners with a set hand
+const REF_HANDS = [
+  ["right", "Right-handed signer"],
+  ["left", "Left-handed signer"],
+];
+
 export default function AdminPage({ onBack }) {
   // Word list
   const [customWords, setCustomWords] = useState([]);
@@ -14,12 +23,22 @@ export default function AdminPage({ onBack }) {
   const [wordCategory, setWordCategory] = useState("");
   const [videoFile, setVideoFile] = useState(null);
   const [videoPreviewUrl, setVideoPreviewUrl] = useState(null);
+  const [gradeExpression, setGradeExpression] = useState(false);
+  const [refHand, setRefHand] = useState("right");
 
   // Processing state
   const [processing, setProcessing] = useState(false);
   const [progressMsg, setProgressMsg] = useState("");
   const [progressPct, setProgressPct] = useState(0);
   const [refData, setRefData] = useState(null);
+  // Existing signs the processed upload looks like: null, "checking" or a list
+  const [similar, setSimilar] = useState(null);
+
+  // Exemplars of the word that's expanded in the list
+  const [openWord, setOpenWord] = useState(null);
+  const [exemplarLabel, setExemplarLabel] = useState("");
+  const [exemplarHand, setExemplarHand] = useState("right");
+  const [exemplarProgress, setExemplarProgress] = useState(null);
 
   // Messages
   const [error, setError] = useState(null);
@@ -50,6 +69,21 @@ export default function AdminPage({ onBack }) {
     };
   }, [videoPreviewUrl]);
 
+  // Storage id for a word label: unicode letters/digits kept, spaces → underscores
+  const wordId = (label) => label.trim().toLowerCase().replace(/\s+/g, "_");
+
+  // Check whether a processed upload can be told apart from the existing signs
+  const checkSimilar = async (data) => {
+    setSimilar("checking");
+    try {
+      const id = wordId(wordLabel);
+      setSimilar(await findSimilarSigns(data, { exclude: id ? [id] : [] }));
+    } catch (e) {
+      console.error("Similarity check failed:", e);
+      setSimilar(null);
+    }
+  };
+
   // Handle video file selection
   const handleFileChange = (e) => {
     const file = e.target.files?.[0];
@@ -64,6 +98,7 @@ export default function AdminPage({ onBack }) {
     setError(null);
     setSuccess(null);
     setRefData(null);
+    setSimilar(null);
 
     if (videoPreviewUrl) URL.revokeObjectURL(videoPreviewUrl);
     setVideoPreviewUrl(URL.createObjectURL(file));
@@ -86,6 +121,7 @@ export default function AdminPage({ onBack }) {
     setError(null);
     setSuccess(null);
     setRefData(null);
+    setSimilar(null);
 
     try {
       const data = await processVideo(videoFile, (msg, pct) => {
@@ -105,6 +141,7 @@ export default function AdminPage({ onBack }) {
       setSuccess(
         `Extracted ${data.frames.length} frames (${data.duration}s at ~${data.fps} fps)`
       );
+      checkSimilar(data);
     } catch (e) {
       console.error("Processing failed:", e);
       setError("Processing failed: " + e.message);
@@ -129,10 +166,7 @@ export default function AdminPage({ onBack }) {
     }
 
     // Generate ID: keep unicode letters/digits, replace spaces with underscores
-    let id = wordLabel
-      .trim()
-      .toLowerCase()
-      .replace(/\s+/g, "_");
+    let id = wordId(wordLabel);
     // Fallback to timestamp if label produces empty ID
     if (!id) id = `word_${Date.now()}`;
 
@@ -155,6 +189,7 @@ export default function AdminPage({ onBack }) {
       const finalRef = {
         ...refData,
         word: wordLabel.trim(),
+        dominantHand: refHand,
       };
 
       await saveWord({
@@ -163,6 +198,9 @@ export default function AdminPage({ onBack }) {
         category: wordCategory.trim() || "Uncategorised",
         videoBlob,
         refData: finalRef,
+        // Overwriting replaces the primary recording only
+        exemplars: existing?.exemplars || [],
+        scoring: { ...existing?.scoring, facialExpression: gradeExpression },
       });
 
       setSuccess(`"${wordLabel.trim()}" saved successfully!`);
@@ -170,8 +208,11 @@ export default function AdminPage({ onBack }) {
       // Reset form
       setWordLabel("");
       setWordCategory("");
+      setGradeExpression(false);
+      setRefHand("right");
       setVideoFile(null);
       setRefData(null);
+      setSimilar(null);
       if (videoPreviewUrl) URL.revokeObjectURL(videoPreviewUrl);
       setVideoPreviewUrl(null);
       if (fileInputRef.current) fileInputRef.current.value = "";
@@ -191,12 +232,105 @@ export default function AdminPage({ onBack }) {
 
     try {
       await deleteWord(id);
+      if (openWord?.id === id) setOpenWord(null);
       await loadWords();
     } catch (e) {
       console.error("Delete failed:", e);
     }
   };
 
+  // Expand/collapse the exemplar list of a custom word
+  const toggleExemplars = async (id) => {
+    if (openWord?.id === id) {
+      setOpenWord(null);
+      return;
+    }
+    try {
+      const full = await getWord(id);
+      setOpenWord(full ? { ...full, exemplars: full.exemplars || [], scoring: full.scoring || {} } : null);
+      setExemplarLabel("");
+      setExemplarHand("right");
+    } catch (e) {
+      console.error("Failed to load word:", e);
+      setError("Failed to load word: " + e.message);
+    }
+  };
+
+  // Process another recording of the open word and attach it as an exemplar
+  const handleAddExemplar = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file || !openWord) return;
+
+    if (!file.type.startsWith("video/")) {
+      setError("Please select a video file (MP4, WebM, etc.)");
+      return;
+    }
+
+    setError(null);
+    setSuccess(null);
+    setExemplarProgress({ msg: "Starting...", pct: 0 });
+
+    try {
+      const data = await processVideo(file, (msg, pct) => setExemplarProgress({ msg, pct }));
+      if (data.frames.length < 3) {
+        setError(
+          `Only ${data.frames.length} frames detected. The video may be too short or no person is visible.`
+        );
+        return;
+      }
+
+      const label = exemplarLabel.trim() || `Exemplar ${openWord.exemplars.length + 2}`;
+      const exemplar = {
+        id: `ex_${Date.now()}`,
+        label,
+        refData: { ...data, word: openWord.label, dominantHand: exemplarHand },
+        createdAt: Date.now(),
+      };
+      const exemplars = [...openWord.exemplars, exemplar];
+      await updateExemplars(openWord.id, exemplars);
+      setOpenWord({ ...openWord, exemplars });
+      setExemplarLabel("");
+      setExemplarHand("right");
+      setSuccess(`Added "${label}" to "${openWord.label}" (${data.frames.length} frames)`);
+    } catch (err) {
+      console.error("Adding exemplar failed:", err);
+      setError("Adding exemplar failed: " + err.message);
+    } finally {
+      setExemplarProgress(null);
+    }
+  };
+
+  // Change how the open word is scored (facial expression grading, profile)
+  const changeScoring = async (changes) => {
+    const scoring = { ...openWord.scoring, ...changes };
+    try {
+      await updateScoring(openWord.id, scoring);
+      setOpenWord({ ...openWord, scoring });
+    } catch (err) {
+      console.error("Updating scoring failed:", err);
+      setError("Updating scoring failed: " + err.message);
+    }
+  };
+
+  const handleToggleExpression = (e) => changeScoring({ facialExpression: e.target.checked });
+  // An empty choice leaves strictness to the learner's own setting
+  const handleChooseProfile = (e) => changeScoring({ profile: e.target.value || undefined });
+
+  const handleRemoveExemplar = async (exemplar) => {
+    const confirmed = window.confirm(`Remove "${exemplar.label}" from "${openWord.label}"?`);
+    if (!confirmed) return;
+
+    try {
+      const exemplars = openWord.exemplars.filter((ex) => ex.id !== exemplar.id);
+      await updateExemplars(openWord.id, exemplars);
+      setOpenWord({ ...openWord, exemplars });
+    } catch (e) {
+      console.error("Removing exemplar failed:", e);
+      setError("Removing exemplar failed: " + e.message);
+    }
+  };
+
   return (
     <div className="admin-root">
       <div className="admin-header">
@@ -236,6 +370,26 @@ export default function AdminPage({ onBack }) {
             />
           </div>
 
+          <div className="form-group">
+            <label className="checkbox-label">
+              <input
+                type="checkbox"
+                checked={gradeExpression}
+                onChange={(e) => setGradeExpression(e.target.checked)}
+              />
+              Grade facial expression (e.g. question signs)
+            </label>
+          </div>
+
+          <div className="form-group">
+            <label>SIGNER'S DOMINANT HAND</label>
+            <select value={refHand} onChange={(e) => setRefHand(e.target.value)}>
+              {REF_HANDS.map(([hand, label]) => (
+                <option key={hand} value={hand}>{label}</option>
+              ))}
+            </select>
+          </div>
+
           <div className="form-group">
             <label>SIGN VIDEO</label>
             <div className={`upload-zone ${videoFile ? "has-file" : ""}`}>
@@ -308,10 +462,34 @@ export default function AdminPage({ onBack }) {
               <br />
               Hands detected:{" "}
               {refData.frames.filter((f) => f.rightHand || f.leftHand).length}{" "}
-              frames
+              frames · {refData.depth ? "3D" : "2D"} landmarks · Blendshapes:{" "}
+              {refData.frames.some((f) => f.faceBlendshapes) ? "yes" : "no"}
+              {refData.trim && (
+                <>
+                  <br />
+                  Sign found at {refData.trim.start}s–{refData.trim.end}s of{" "}
+                  {refData.sourceDuration}s (idle time trimmed)
+                </>
+              )}
             </div>
           )}
 
+          {/* Distinguishability from existing signs */}
+          {refData && similar === "checking" && (
+            <div className="ref-stats">Comparing with existing signs...</div>
+          )}
+          {refData && Array.isArray(similar) && (
+            similar.length > 0 ? (
+              <div className="similar-warning">
+                ⚠ Looks very similar to{" "}
+                {similar.map((m) => `"${m.label}" (${m.category})`).join(", ")}.
+                Learners may be scored as correct for the wrong sign.
+              </div>
+            ) : (
+              <div className="ref-stats">✓ Easy to tell apart from existing signs</div>
+            )
+          )}
+
           {/* Save button */}
           {refData && (
             <button
@@ -362,23 +540,120 @@ export default function AdminPage({ onBack }) {
             )}
 
             {customWords.map((w) => (
-              <div key={w.id} className="word-item">
-                <div className="word-info">
-                  <div className="word-label">{w.label}</div>
-                  <div className="word-meta">
-                    Custom ·{" "}
-                    {new Date(w.createdAt).toLocaleDateString()}
+              <div key={w.id} className="word-entry">
+                <div className="word-item">
+                  <div className="word-info">
+                    <div className="word-label">{w.label}</div>
+                    <div className="word-meta">
+                      Custom ·{" "}
+                      {new Date(w.createdAt).toLocaleDateString()}
+                    </div>
+                  </div>
+                  <div className="word-actions">
+                    <span className="word-category">{w.category}</span>
+                    <button
+                      className={`btn-exemplars ${openWord?.id === w.id ? "active" : ""}`}
+                      onClick={() => toggleExemplars(w.id)}
+                    >
+                      EXEMPLARS
+                    </button>
+                    <button
+                      className="btn-delete"
+                      onClick={() => handleDelete(w.id, w.label)}
+                    >
+                      DELETE
+                    </button>
                   </div>
                 </div>
-                <div className="word-actions">
-                  <span className="word-category">{w.category}</span>
-                  <button
-                    className="btn-delete"
-                    onClick={() => handleDelete(w.id, w.label)}
-                  >
-                    DELETE
-                  </button>
-                </div>
+
+                {openWord?.id === w.id && (
+                  <div className="exemplar-panel">
+                    <label className="checkbox-label">
+                      <input
+                        type="checkbox"
+                        checked={!!openWord.scoring.facialExpression}
+                        onChange={handleToggleExpression}
+                      />
+                      Grade facial expression
+                    </label>
+                    <label className="exemplar-item">
+                      Strictness
+                      <select
+                        className="profile-select"
+                        value={typeof openWord.scoring.profile === "string" ? openWord.scoring.profile : ""}
+                        onChange={handleChooseProfile}
+                      >
+                        <option value="">Learner's choice</option>
+                        {Object.entries(SCORING_PROFILES).map(([name, p]) => (
+                          <option key={name} value={name}>{p.label}</option>
+                        ))}
+                      </select>
+                    </label>
+                    {openWord.scoring.facialExpression &&
+                      !openWord.refData?.frames.some((f) => f.faceBlendshapes) && (
+                      <div className="exemplar-item">
+                        ⚠ This recording has no blendshapes. Re-upload it to grade expressions.
+                      </div>
+                    )}
+                    {openWord.refData && (
+                      <div className="exemplar-item">
+                        <span>
+                          Primary · {openWord.refData.frames.length} frames ·{" "}
+                          {openWord.refData.dominantHand || "right"}-handed
+                        </span>
+                      </div>
+                    )}
+                    {openWord.exemplars.map((ex) => (
+                      <div key={ex.id} className="exemplar-item">
+                        <span>
+                          {ex.label} · {ex.refData.frames.length} frames ·{" "}
+                          {ex.refData.dominantHand || "right"}-handed ·{" "}
+                          {new Date(ex.createdAt).toLocaleDateString()}
+                        </span>
+                        <button
+                          className="btn-delete"
+                          onClick={() => handleRemoveExemplar(ex)}
+                        >
+                          REMOVE
+                        </button>
+                      </div>
+                    ))}
+
+                    {exemplarProgress ? (
+                      <div className="process-progress">
+                        <div className="progress-text">{exemplarProgress.msg}</div>
+                        <div className="progress-track">
+                          <div
+                            className="progress-fill"
+                            style={{ width: `${exemplarProgress.pct}%` }}
+                          />
+                        </div>
+                      </div>
+                    ) : (
+                      <div className="exemplar-add">
+                        <input
+                          type="text"
+                          value={exemplarLabel}
+                          onChange={(e) => setExemplarLabel(e.target.value)}
+                          placeholder="e.g. Left-handed, Regional variant"
+                        />
+                        <select
+                          className="profile-select"
+                          value={exemplarHand}
+                          onChange={(e) => setExemplarHand(e.target.value)}
+                        >
+                          {REF_HANDS.map(([hand, label]) => (
+                            <option key={hand} value={hand}>{label}</option>
+                          ))}
+                        </select>
+                        <label className="btn-exemplars">
+                          + ADD VIDEO
+                          <input type="file" accept="video/*" onChange={handleAddExemplar} hidden />
+                        </label>
+                      </div>
+                    )}
+                  </div>
+                )}
               </div>
             ))}
           </div>
@@ -0,0 +1,138 @@
+import { useState } from "react";
+import { makeSample, fitProfile, MIN_SAMPLES } from "../utils/calibration";
+import { setSetting } from "../utils/settings";
+
+const STAR_LABELS = ["☆☆☆", "★☆☆", "★★☆", "★★★"];
+
+const buttonStyle = {
+  padding: "2px 8px", borderRadius: 4, border: "1px solid #333", background: "#1a1a2e",
+  color: "#fff", cursor: "pointer", fontFamily: "inherit", fontSize: 11,
+};
+
+const percent = (x) => `${Math.round(x * 100)}%`;
+
+function Agreement({ title, stats }) {
+  return (
+    <div style={{ marginTop: 4 }}>
+      <div style={{ color: "#4ecdc4" }}>
+        {title}: exact {percent(stats.exact)} · ±1 star {percent(stats.withinOne)} · r={stats.correlation.toFixed(2)}
+      </div>
+      <table style={{ borderCollapse: "collapse", fontSize: 10, marginTop: 2 }}>
+        <thead>
+          <tr>
+            <td style={{ padding: "0 4px", color: "rgba(255,255,255,0.4)" }}>rated \ scored</td>
+            {STAR_LABELS.map((l) => <td key={l} style={{ padding: "0 4px" }}>{l}</td>)}
+          </tr>
+        </thead>
+        <tbody>
+          {stats.confusion.map((row, rating) => (
+            <tr key={rating}>
+              <td style={{ padding: "0 4px" }}>{STAR_LABELS[rating]}</td>
+              {row.map((n, stars) => (
+                <td key={stars} style={{ padding: "0 4px", textAlign: "center",
+                  color: n === 0 ? "rgba(255,255,255,0.2)" : stars === rating ? "#4ecdc4" : "#ff6b6b" }}>
+                  {n}
+                </td>
+              ))}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+/**
+ * Calibration from facilitator ratings: rate each scored attempt 0-3
+ * stars, then fit a scoring profile to the ratings (see calibration.js).
+ * Rated attempts are kept for this session only.
+ */
+export default function CalibrationPanel({ scoreResult, word, profile, onUseProfile }) {
+  const [samples, setSamples] = useState([]);
+  const [rated, setRated] = useState(null);
+  const [fit, setFit] = useState(null);
+  const [error, setError] = useState(null);
+  const [saved, setSaved] = useState(false);
+
+  const canRate = scoreResult?.trace && rated !== scoreResult;
+
+  const rate = (rating) => {
+    setSamples((prev) => [...prev, makeSample(scoreResult, rating, word?.label)]);
+    setRated(scoreResult);
+  };
+
+  const runFit = () => {
+    try {
+      setFit(fitProfile(samples, profile));
+      setError(null);
+      setSaved(false);
+    } catch (e) {
+      setFit(null);
+      setError(e.message);
+    }
+  };
+
+  const clear = () => {
+    setSamples([]);
+    setRated(null);
+    setFit(null);
+    setError(null);
+  };
+
+  const applyToLearners = () => {
+    setSetting("scoringProfile", fit.profile);
+    setSaved(true);
+  };
+
+  const download = () => {
+    const blob = new Blob([JSON.stringify(fit.profile, null, 2)], { type: "application/json" });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement("a");
+    a.href = url;
+    a.download = "scoring-profile.json";
+    a.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <div style={{ marginTop: 8, padding: 8, background: "rgba(255,230,109,0.06)", borderRadius: 6 }}>
+      <div style={{ color: "#ffe66d", fontWeight: 700 }}>CALIBRATION</div>
+      <div style={{ marginTop: 4 }}>
+        Rate this attempt:{" "}
+        {STAR_LABELS.map((label, rating) => (
+          <button key={rating} onClick={() => rate(rating)} disabled={!canRate}
+            style={{ ...buttonStyle, marginRight: 4, opacity: canRate ? 1 : 0.4 }}>
+            {label}
+          </button>
+        ))}
+      </div>
+      <div style={{ marginTop: 4, color: "rgba(255,255,255,0.6)" }}>
+        {samples.length} rated{samples.length < MIN_SAMPLES ? ` (need ${MIN_SAMPLES})` : ""}
+        {samples.length > 0 && ` · ${[0, 1, 2, 3].map((r) => samples.filter((s) => s.rating === r).length).join("/")} by stars`}
+      </div>
+      <div style={{ marginTop: 4 }}>
+        <button onClick={runFit} disabled={samples.length === 0} style={{ ...buttonStyle, marginRight: 4 }}>FIT</button>
+        <button onClick={clear} disabled={samples.length === 0} style={buttonStyle}>CLEAR</button>
+      </div>
+      {error && <div style={{ marginTop: 4, color: "#ff6b6b" }}>{error}</div>}
+      {fit && (
+        <>
+          <Agreement title="Before" stats={fit.before} />
+          <Agreement title="After" stats={fit.after} />
+          <div style={{ marginTop: 4 }}>
+            sigma {fit.profile.sigma} · stars {fit.profile.stars.join(" / ")}
+            {Object.keys(fit.profile.weights).length > 0 &&
+              ` · ${Object.entries(fit.profile.weights).map(([name, w]) => `${name} ${w}`).join(", ")}`}
+          </div>
+          <div style={{ marginTop: 4 }}>
+            <button onClick={() => onUseProfile(fit.profile)} style={{ ...buttonStyle, marginRight: 4 }}>SCORE WITH IT</button>
+            <button onClick={applyToLearners} style={{ ...buttonStyle, marginRight: 4 }}>
+              {saved ? "✓ LEARNERS' PROFILE" : "USE FOR LEARNERS"}
+            </button>
+            <button onClick={download} style={buttonStyle}>EXPORT</button>
+          </div>
+        </>
+      )}
+    </div>
+  );
+}
@@ -1,9 +1,15 @@
 import { useState, useEffect, useRef, useCallback } from "react";
 import { drawLiveSkeleton } from "../utils/drawing";
-import { compareDTW, generateFeedback, getStarRating } from "../utils/poseComparison";
+import { generateFeedback, getStarRating, estimateHeadPose, BODY_PARTS } from "../utils/poseComparison";
+import { compareDTWAsync, isAbortError } from "../utils/scoringClient";
 import useMediaPipe from "../hooks/useMediaPipe";
+import { detectionConfig, POSE_MODEL_NAMES, DELEGATES } from "../utils/mediapipe";
+import { setSetting, getSetting } from "../utils/settings";
+import { prepareReference, ONE_EURO_DEFAULTS } from "../utils/smoothing";
 import { getAllWords, getWord } from "../utils/storage";
 import BUILTIN_WORDS from "../words";
+import { SCORING_PROFILES, DEFAULT_PROFILE } from "../utils/scoringProfiles";
+import CalibrationPanel from "./CalibrationPanel";
 
 /**
  * Debug page for testing skeleton alignment and scoring algorithm.
@@ -17,7 +23,20 @@ export default function DebugMirror() {
   const [refData, setRefData] = useState(null);
   const [recording, setRecording] = useState(false);
   const [scoreResult, setScoreResult] = useState(null);
+  const [subsequence, setSubsequence] = useState(true);
+  // Profile name, or a fitted profile object (see CalibrationPanel)
+  const [profile, setProfile] = useState(DEFAULT_PROFILE);
+  // Last fitted profile, kept so it can be selected again after trying others
+  const [fittedProfile, setFittedProfile] = useState(null);
   const [detectionStatus, setDetectionStatus] = useState({ pose: false, rightHand: false, leftHand: false, face: false });
+  const [headPose, setHeadPose] = useState(null);
+  // Pose model and delegate, kept in the learner settings
+  const [detection, setDetection] = useState(() => detectionConfig());
+  // Raw vs smoothed landmarks and the filter parameters, kept in the learner settings
+  const [smoothing, setSmoothing] = useState(() => getSetting("smoothing"));
+  const [smoothingFilter, setSmoothingFilter] = useState(() => getSetting("smoothingFilter"));
+  // Mean wrist movement per frame in px: jitter while holding still
+  const [wristMovement, setWristMovement] = useState(null);
 
   const canvasRef = useRef(null);
   const webcamRef = useRef(null);
@@ -27,8 +46,32 @@ export default function DebugMirror() {
   const fpsRef = useRef({ count: 0, last: performance.now() });
   const recordedFramesRef = useRef([]);
   const recordingRef = useRef(false);
+  const scoringRef = useRef(null);
+  const headRef = useRef(null);
+  const movementRef = useRef({ sum: 0, count: 0, prev: null });
 
-  const { loading: mpLoading, error: mpError, detect, cleanup: mpCleanup } = useMediaPipe();
+  const { loading: mpLoading, error: mpError, info: mpInfo, detect, reload: mpReload } = useMediaPipe({ smoothing, smoothingFilter });
+
+  const toggleSmoothing = (on) => {
+    setSetting("smoothing", on);
+    setSmoothing(on);
+  };
+  const changeFilter = (key, value) => {
+    const filter = { ...smoothingFilter, [key]: value };
+    setSetting("smoothingFilter", filter);
+    setSmoothingFilter(filter);
+  };
+
+  const changeDetection = (key, value) => {
+    const config = detectionConfig(setSetting(key, value));
+    setDetection(config);
+    mpReload(config);
+  };
+
+  const applyFittedProfile = (fitted) => {
+    setFittedProfile(fitted);
+    setProfile(fitted);
+  };
 
   // Load word list
   useEffect(() => {
@@ -93,10 +136,9 @@ export default function DebugMirror() {
     })();
     return () => {
       if (streamRef.current) streamRef.current.getTracks().forEach(t => t.stop());
-      mpCleanup();
       if (animRef.current) cancelAnimationFrame(animRef.current);
     };
-  }, [mpCleanup]);
+  }, []);
 
   // Render loop
   useEffect(() => {
@@ -143,7 +185,29 @@ export default function DebugMirror() {
           rightHand: !!result.rightHand,
           leftHand: !!result.leftHand,
           face: !!(result.face && result.face.length >= 468),
+          handsUncertain: !!result.handsUncertain,
         });
+
+        // Head pose with velocity (degrees per second) from the previous frame
+        const head = estimateHeadPose(result.face, result.pose);
+        const t = performance.now();
+        const prevHead = headRef.current;
+        if (head && prevHead && t > prevHead.t) {
+          const dt = (t - prevHead.t) / 1000;
+          head.velocity = ["yaw", "pitch", "roll"].map(k => (head[k] - prevHead[k]) / dt);
+        }
+        headRef.current = head ? { ...head, t } : null;
+        setHeadPose(head);
+
+        const movement = movementRef.current;
+        const wrists = result.pose ? [result.pose[15], result.pose[16]] : null;
+        if (wrists && movement.prev) {
+          wrists.forEach((p, i) => {
+            movement.sum += Math.hypot((p[0] - movement.prev[i][0]) * dw, (p[1] - movement.prev[i][1]) * dh);
+            movement.count++;
+          });
+        }
+        movement.prev = wrists;
         if (result.pose || result.rightHand || result.leftHand) {
           ctx.save();
           ctx.translate(dx, dy);
@@ -164,10 +228,15 @@ export default function DebugMirror() {
             const lastT = frames.length > 0 ? frames[frames.length - 1]._t : 0;
             if (now - lastT >= 100) {
               frames.push({
-                pose: result.pose?.map(p => [p[0], p[1]]),
-                rightHand: result.rightHand?.map(p => [p[0], p[1]]),
-                leftHand: result.leftHand?.map(p => [p[0], p[1]]),
+                pose: result.pose?.map(p => [p[0], p[1], p[2]]),
+                poseConf: result.poseConf,
+                rightHand: result.rightHand?.map(p => [p[0], p[1], p[2]]),
+                rightHandConf: result.rightHandConf,
+                leftHand: result.leftHand?.map(p => [p[0], p[1], p[2]]),
+                leftHandConf: result.leftHandConf,
+                handsUncertain: result.handsUncertain,
                 face: result.face,
+                faceBlendshapes: result.faceBlendshapes,
                 _t: now,
               });
             }
@@ -179,6 +248,10 @@ export default function DebugMirror() {
         const now = performance.now();
         if (now - fpsRef.current.last >= 1000) {
           setFps(fpsRef.current.count);
+          const movement = movementRef.current;
+          setWristMovement(movement.count > 0 ? movement.sum / movement.count : null);
+          movement.sum = 0;
+          movement.count = 0;
           fpsRef.current.count = 0;
           fpsRef.current.last = now;
         }
@@ -190,8 +263,13 @@ export default function DebugMirror() {
     return () => { if (animRef.current) cancelAnimationFrame(animRef.current); };
   }, [webcamReady, mpLoading, detect]);
 
+  // Abort any scoring run still in flight when leaving the page
+  useEffect(() => () => scoringRef.current?.abort(), []);
+
   const toggleRecording = () => {
     if (!recording) {
+      // A new recording cancels the previous scoring run
+      scoringRef.current?.abort();
       recordedFramesRef.current = [];
       recordingRef.current = true;
       setRecording(true);
@@ -199,12 +277,23 @@ export default function DebugMirror() {
     } else {
       recordingRef.current = false;
       setRecording(false);
-      // Score immediately
+      // Score immediately (in the scoring worker)
       if (refData && recordedFramesRef.current.length >= 3) {
-        const dtw = compareDTW(recordedFramesRef.current, refData.frames);
-        const fb = generateFeedback(dtw);
-        setScoreResult({ ...dtw, feedback: fb });
-        console.log("Debug DTW result:", dtw, fb);
+        const controller = new AbortController();
+        scoringRef.current = controller;
+        setScoreResult({ pending: true });
+        // The reference is smoothed like the live frames
+        const ref = prepareReference(refData, { smoothing, smoothingFilter });
+        compareDTWAsync(recordedFramesRef.current, ref.frames, { subsequence, profile, trace: true }, { signal: controller.signal })
+          .then((dtw) => {
+            const fb = generateFeedback(dtw);
+            setScoreResult({ ...dtw, feedback: fb });
+            console.log("Debug DTW result:", dtw, fb);
+          })
+          .catch((e) => {
+            if (isAbortError(e)) return;
+            setScoreResult({ error: `Scoring failed: ${e.message}` });
+          });
       } else {
         setScoreResult({ error: `Not enough frames (${recordedFramesRef.current.length}) or no ref data` });
       }
@@ -228,11 +317,61 @@ export default function DebugMirror() {
       <div style={panelStyle}>
         <div style={{ color: "#4ecdc4", marginBottom: 8, fontWeight: 700 }}>DEBUG PANEL</div>
         <div style={{ marginBottom: 4 }}>{fps} FPS {mpLoading ? "(loading...)" : ""} {mpError ? `Error: ${mpError}` : ""}</div>
+        <div style={{ marginBottom: 4, fontSize: 11 }}>
+          Model:{" "}
+          <select value={detection.poseModel} onChange={e => changeDetection("poseModel", e.target.value)}
+            disabled={mpLoading} style={{ fontFamily: "inherit", fontSize: 11 }}>
+            {POSE_MODEL_NAMES.map(name => <option key={name} value={name}>pose {name}</option>)}
+          </select>{" "}
+          <select value={detection.delegate} onChange={e => changeDetection("delegate", e.target.value)}
+            disabled={mpLoading} style={{ fontFamily: "inherit", fontSize: 11 }}>
+            {DELEGATES.map(d => <option key={d} value={d}>{d}</option>)}
+          </select>
+          <label style={{ marginLeft: 8 }}>
+            <input type="checkbox" checked={smoothing} onChange={e => toggleSmoothing(e.target.checked)} />
+            {" "}Smoothing
+          </label>
+          {smoothing && (
+            <div>
+              {["minCutoff", "beta"].map(key => (
+                <label key={key} style={{ marginRight: 8 }}>
+                  {key}{" "}
+                  <input type="number" step={key === "beta" ? 1 : 0.1} min={0}
+                    value={smoothingFilter[key] ?? ONE_EURO_DEFAULTS[key]}
+                    onChange={e => e.target.value !== "" && changeFilter(key, Number(e.target.value))}
+                    style={{ width: 48, fontFamily: "inherit", fontSize: 11 }} />
+                </label>
+              ))}
+            </div>
+          )}
+          {wristMovement !== null && (
+            <div style={{ color: "rgba(255,255,255,0.7)" }}>
+              Wrist movement: {wristMovement.toFixed(1)} px/frame ({smoothing ? "smoothed" : "raw"})
+            </div>
+          )}
+          {mpInfo && (
+            <div style={{ color: mpInfo.fallback ? "#ffe66d" : "rgba(255,255,255,0.7)" }}>
+              Running: {Object.entries(mpInfo.delegates).map(([name, d]) => `${name} ${d}`).join(" · ")}
+              {mpInfo.fallback && " (GPU failed, fell back to CPU)"}
+            </div>
+          )}
+        </div>
         <div style={{ marginBottom: 4, fontSize: 11, color: "rgba(255,255,255,0.7)" }}>
           Pose: {detectionStatus.pose ? "\u2705" : "\u274C"}{" "}
           R.Hand: {detectionStatus.rightHand ? "\u2705" : "\u274C"}{" "}
           L.Hand: {detectionStatus.leftHand ? "\u2705" : "\u274C"}{" "}
           Face: {detectionStatus.face ? "\u2705" : "\u274C"}
+          {detectionStatus.handsUncertain && <span style={{ color: "#ffe66d" }}> · hands uncertain</span>}
+        </div>
+        <div style={{ marginBottom: 4, fontSize: 11, color: "rgba(255,255,255,0.7)" }}>
+          {headPose ? (
+            <>
+              Head: yaw {headPose.yaw.toFixed(0)}° · pitch {headPose.pitch.toFixed(0)}° · roll {headPose.roll.toFixed(0)}°
+              {headPose.velocity && (
+                <div>Head vel: {headPose.velocity.map(v => v.toFixed(0)).join(" / ")} °/s</div>
+              )}
+            </>
+          ) : "Head: -"}
         </div>
 
         {/* Word selector */}
@@ -263,6 +402,17 @@ export default function DebugMirror() {
           >
             {recording ? `STOP (${recordedFramesRef.current.length} frames)` : "RECORD"}
           </button>
+          <label style={{ marginLeft: 8 }}>
+            <input type="checkbox" checked={subsequence} onChange={e => setSubsequence(e.target.checked)} />
+            {" "}Subsequence
+          </label>
+          <select value={typeof profile === "string" ? profile : "custom"} onChange={e => setProfile(e.target.value === "custom" ? fittedProfile : e.target.value)}
+            style={{ marginLeft: 8, fontFamily: "inherit", fontSize: 12 }}>
+            {Object.entries(SCORING_PROFILES).map(([name, p]) => (
+              <option key={name} value={name}>{p.label}</option>
+            ))}
+            {fittedProfile && <option value="custom">{fittedProfile.label}</option>}
+          </select>
         </div>
 
         {/* Score output */}
@@ -270,16 +420,45 @@ export default function DebugMirror() {
           <div style={{ marginTop: 8, padding: 8, background: "rgba(78,205,196,0.1)", borderRadius: 6 }}>
             {scoreResult.error ? (
               <div style={{ color: "#ff6b6b" }}>{scoreResult.error}</div>
+            ) : scoreResult.pending ? (
+              <div style={{ color: "#4ecdc4" }}>Scoring...</div>
             ) : (
               <>
                 <div style={{ color: "#4ecdc4", fontWeight: 700, fontSize: 14 }}>Score: {scoreResult.score}</div>
                 <div>Avg distance: {scoreResult.avgDistance?.toFixed(3)}</div>
                 <div>Live features: {scoreResult.liveFeatureCount}</div>
                 <div>Ref features: {scoreResult.refFeatureCount}</div>
-                <div>Mirrored: {scoreResult.mirrored ? "yes" : "no"}</div>
+                {scoreResult.window && (
+                  <div>Window: frames {scoreResult.window.start}–{scoreResult.window.end}</div>
+                )}
+                <div>Mirrored: {scoreResult.mirrored ? "yes" : "no"} · Hand: {scoreResult.hand ?? "-"}</div>
+                {scoreResult.handCheck && (scoreResult.handCheck.mixed || scoreResult.handCheck.wrongHand) && (
+                  <div style={{ color: "#ff6b6b" }}>
+                    {scoreResult.handCheck.wrongHand ? "Wrong hand" : "Mixed hands"} ({Math.round(scoreResult.handCheck.otherHandFraction * 100)}% of path)
+                  </div>
+                )}
+                <div>Features: {scoreResult.depth ? "3D" : "2D"}</div>
                 <div>Low motion: {scoreResult.lowMotion ? "YES" : "no"}</div>
+                {scoreResult.tempo && (
+                  <div>
+                    Tempo: {scoreResult.tempo.speed.toFixed(2)}× · sections {Object.values(scoreResult.tempo.sections).map(v => v.toFixed(1)).join(" / ")}
+                    {scoreResult.tempo.pauses.length > 0 && ` · pauses ${scoreResult.tempo.pauses.map(p => `${p.section} ${p.seconds}s`).join(", ")}`}
+                  </div>
+                )}
+                {scoreResult.headHint && (
+                  <div style={{ color: "#ff6b6b" }}>Missing head movement: {scoreResult.headHint.movement}</div>
+                )}
+                {scoreResult.partScores && (
+                  <div style={{ marginTop: 4 }}>
+                    {BODY_PARTS.map(part => (
+                      <div key={part} style={{ color: part === scoreResult.feedback?.focus ? "#ff6b6b" : "inherit" }}>
+                        {part}: {scoreResult.partScores[part] ?? "-"}
+                      </div>
+                    ))}
+                  </div>
+                )}
                 <div style={{ marginTop: 4, color: "#ffe66d" }}>
-                  Stars: {"★".repeat(getStarRating(scoreResult.score))}{"☆".repeat(3 - getStarRating(scoreResult.score))} ({getStarRating(scoreResult.score)}/3)
+                  Stars: {"★".repeat(getStarRating(scoreResult.score, scoreResult.profile))}{"☆".repeat(3 - getStarRating(scoreResult.score, scoreResult.profile))} ({getStarRating(scoreResult.score, scoreResult.profile)}/3, {scoreResult.profile?.label})
                 </div>
                 {scoreResult.feedback?.tips?.map((t, i) => (
                   <div key={i} style={{ marginTop: 2, color: "rgba(255,255,255,0.6)" }}>{t}</div>
@@ -288,6 +467,9 @@ export default function DebugMirror() {
             )}
           </div>
         )}
+
+        {/* Calibration from facilitator ratings */}
+        <CalibrationPanel scoreResult={scoreResult} word={selectedWord} profile={profile} onUseProfile={applyFittedProfile} />
       </div>
     </div>
   );
@@ -1,6 +1,12 @@
-import { useState, useEffect, useRef, useCallback } from "react";
+import { useState, useEffect, useRef, useCallback, useMemo } from "react";
 import { drawLiveSkeleton } from "../utils/drawing";
-import { compareDTW, generateFeedback, getStarRating } from "../utils/poseComparison";
+import { generateFeedback, getStarRating, createStreamingMatcher } from "../utils/poseComparison";
+import { compareDTWAsync, compareExemplarsAsync, findConfusableSignAsync, isAbortError } from "../utils/scoringClient";
+import { loadLibrary, prepareWords } from "../utils/library";
+import { getSettings, setSetting, recordHandUsed, resolveDominantHand } from "../utils/settings";
+import { SCORING_PROFILES, activeProfile } from "../utils/scoringProfiles";
+import { segmentSign, createOnsetDetector } from "../utils/segmentation";
+import { prepareReference } from "../utils/smoothing";
 import useMediaPipe from "../hooks/useMediaPipe";
 import "./MagicMirror.css";
 
@@ -13,6 +19,11 @@ const PHASE = {
   FEEDBACK: "feedback",
 };
 
+// With startOnMotion, start the practice timer anyway after this long
+const MAX_MOTION_WAIT_MS = 5000;
+// Lead-in kept before the detected start of motion
+const ONSET_LEAD_MS = 1000;
+
 export default function MagicMirror({ word, onBack }) {
   const [phase, setPhase] = useState(PHASE.SELECT);
   const [countdown, setCountdown] = useState(3);
@@ -27,6 +38,9 @@ export default function MagicMirror({ word, onBack }) {
   const [refData, setRefData] = useState(null);
   const [fps, setFps] = useState(0);
   const [detectedPose, setDetectedPose] = useState(false);
+  const [settings, setSettings] = useState(getSettings);
+  const [liveMatch, setLiveMatch] = useState(null);
+  const [waitingForMotion, setWaitingForMotion] = useState(false);
 
   const canvasRef = useRef(null);
   const webcamRef = useRef(null);
@@ -39,8 +53,20 @@ export default function MagicMirror({ word, onBack }) {
 
   // Recorded frames during practice
   const recordedFramesRef = useRef([]);
+  // Live match estimate against the reference (see createStreamingMatcher)
+  const matcherRef = useRef(null);
+  // Detects when the learner starts moving (see createOnsetDetector)
+  const onsetRef = useRef(null);
+  // Other words in the same category (see findConfusableSign)
+  const othersRef = useRef([]);
+
+  const { loading: mpLoading, error: mpError, detect } = useMediaPipe({
+    smoothing: settings.smoothing,
+    smoothingFilter: settings.smoothingFilter,
+  });
 
-  const { loading: mpLoading, error: mpError, detect, cleanup: mpCleanup } = useMediaPipe();
+  // How strict scoring is: the word's own profile, else the learner's
+  const profile = useMemo(() => activeProfile(word, settings.scoringProfile), [word, settings.scoringProfile]);
 
   // Load reference data
   useEffect(() => {
@@ -56,6 +82,17 @@ export default function MagicMirror({ word, onBack }) {
     }
   }, [word.refData, word.refDataPath]);
 
+  // Load the other words in this category, to spot an attempt that looked like one of them
+  useEffect(() => {
+    othersRef.current = [];
+    if (!settings.similarSigns || !word.category) return;
+    let cancelled = false;
+    loadLibrary({ category: word.category, exclude: [word.id] })
+      .then((others) => { if (!cancelled) othersRef.current = others; })
+      .catch((e) => console.warn("Failed to load similar signs:", e));
+    return () => { cancelled = true; };
+  }, [settings.similarSigns, word.category, word.id]);
+
   // Canvas resize
   const resizeCanvas = useCallback(() => {
     const canvas = canvasRef.current;
@@ -103,9 +140,8 @@ export default function MagicMirror({ word, onBack }) {
 
   useEffect(() => () => {
     stopWebcam();
-    mpCleanup();
     if (animRef.current) cancelAnimationFrame(animRef.current);
-  }, [stopWebcam, mpCleanup]);
+  }, [stopWebcam]);
 
   // === WATCH ===
   useEffect(() => {
@@ -142,27 +178,51 @@ export default function MagicMirror({ word, onBack }) {
   // === PRACTICE ===
   useEffect(() => {
     if (phase !== PHASE.PRACTICE || !refData) return;
-    practiceStartRef.current = Date.now();
-    const dur = refData.duration * 1000 + 800;
+    // With startOnMotion the timer starts when the learner starts moving
+    const waitStart = Date.now();
+    practiceStartRef.current = settings.startOnMotion ? null : waitStart;
+    onsetRef.current = settings.startOnMotion ? createOnsetDetector() : null;
+    setWaitingForMotion(settings.startOnMotion);
+    // References are smoothed like the live frames (see prepareReference)
+    matcherRef.current = settings.liveFeedback || settings.autoFinish
+      ? createStreamingMatcher(prepareReference(refData, settings).frames,
+                               { facialExpression: !!word.scoring?.facialExpression, profile })
+      : null;
+    setLiveMatch(null);
+    // Leave room for the slowest exemplar; with autoFinish this is only the upper limit
+    const longest = Math.max(refData.duration, ...(word.exemplars || []).map((ex) => ex.refData.duration));
+    const dur = longest * 1000 + 800;
 
     const timer = setInterval(() => {
-      setPracticeTime(Math.min((Date.now() - practiceStartRef.current) / dur, 1));
+      const now = Date.now();
+      if (practiceStartRef.current === null) {
+        if (now - waitStart < MAX_MOTION_WAIT_MS) return;
+        console.log("No motion detected, starting practice timer anyway");
+        onsetRef.current = null;
+        practiceStartRef.current = now;
+      }
+      setWaitingForMotion(false);
+      const progress = (now - practiceStartRef.current) / dur;
+      setPracticeTime(Math.min(progress, 1));
+      if (progress >= 1) {
+        clearInterval(timer);
+        setPhase(PHASE.SCORING);
+      }
     }, 50);
 
-    const timeout = setTimeout(() => {
-      clearInterval(timer);
-      setPhase(PHASE.SCORING);
-    }, dur);
+    return () => clearInterval(timer);
+  }, [phase, refData, word.exemplars, word.scoring?.facialExpression, profile, settings]);
 
-    return () => { clearInterval(timer); clearTimeout(timeout); };
-  }, [phase, refData]);
-
-  // === SCORING (runs DTW comparison) ===
+  // === SCORING (runs DTW comparison in the scoring worker) ===
   useEffect(() => {
     if (phase !== PHASE.SCORING || !refData) return;
 
-    const recorded = recordedFramesRef.current;
-    console.log(`Scoring: ${recorded.length} recorded frames vs ${refData.frames.length} reference frames`);
+    // Drop idle time around the attempt (keeps everything if no sign was found)
+    const segment = segmentSign(recordedFramesRef.current);
+    const recorded = segment.active && segment.end - segment.start >= 2
+      ? recordedFramesRef.current.slice(segment.start, segment.end + 1)
+      : recordedFramesRef.current;
+    console.log(`Scoring: ${recorded.length} of ${recordedFramesRef.current.length} recorded frames vs ${refData.frames.length} reference frames`);
 
     if (recorded.length < 3) {
       setScore(0);
@@ -172,19 +232,68 @@ export default function MagicMirror({ word, onBack }) {
       return;
     }
 
-    // Run DTW comparison
-    const dtwResult = compareDTW(recorded, refData.frames);
-    const fb = generateFeedback(dtwResult);
-
-    console.log("DTW result:", dtwResult);
+    // Subsequence: ignore idle frames before/after the sign.
+    // Leaving this phase (retry, menu) aborts a run that's still in flight.
+    // Words with extra exemplars are scored against the closest one.
+    const controller = new AbortController();
+    const options = {
+      subsequence: true,
+      dominantHand: resolveDominantHand(settings),
+      refDominantHand: refData.dominantHand,
+      facialExpression: !!word.scoring?.facialExpression,
+      profile,
+    };
+    // References are smoothed like the live frames (see prepareReference)
+    const ref = prepareReference(refData, settings);
+    const exemplars = (word.exemplars || []).map((ex) => ({ ...ex, refData: prepareReference(ex.refData, settings) }));
+    const scoring = exemplars.length
+      ? compareExemplarsAsync(recorded, [{ id: "primary", label: "Primary", refData: ref }, ...exemplars],
+                              options, { signal: controller.signal })
+      : compareDTWAsync(recorded, ref.frames, options, { signal: controller.signal });
+    scoring
+      .then((dtwResult) => {
+        // A low score may mean the attempt looked like another sign in the category
+        const others = othersRef.current;
+        if (others.length === 0 || dtwResult.lowMotion || getStarRating(dtwResult.score, profile) >= 2) return dtwResult;
+        return findConfusableSignAsync(recorded, { score: dtwResult.score, partScores: dtwResult.partScores },
+                                       prepareWords(others, settings), options, { signal: controller.signal })
+          .then((confusedWith) => ({ ...dtwResult, confusedWith }));
+      })
+      .then((dtwResult) => {
+        const fb = generateFeedback(dtwResult);
+
+        console.log("DTW result:", dtwResult);
+
+        setScore(dtwResult.score);
+        setFeedback(fb);
+        setAttempts((p) => p + 1);
+        setPrevBestScore(bestScore);
+        setBestScore((p) => Math.max(p, dtwResult.score));
+        // Learn the dominant hand from attempts that clearly used one. Once
+        // a hand is detected scoring is fixed to it, so an attempt led with
+        // the other hand counts for that one: otherwise a wrong detection
+        // could never be corrected.
+        const wrongHand = !!dtwResult.handCheck?.wrongHand;
+        if (settings.dominantHand === "auto" && dtwResult.hand && !dtwResult.handCheck?.mixed
+            && (wrongHand || getStarRating(dtwResult.score, profile) > 0)) {
+          const used = wrongHand ? (dtwResult.hand === "right" ? "left" : "right") : dtwResult.hand;
+          setSettings(recordHandUsed(used));
+        }
+        setPhase(PHASE.FEEDBACK);
+      })
+      .catch((e) => {
+        if (isAbortError(e)) return;
+        console.error("Scoring failed:", e);
+        setScore(0);
+        setFeedback({ tips: ["Something went wrong while scoring. Let's try again!"] });
+        setAttempts((p) => p + 1);
+        setPhase(PHASE.FEEDBACK);
+      });
 
-    setScore(dtwResult.score);
-    setFeedback(fb);
-    setAttempts((p) => p + 1);
-    setPrevBestScore(bestScore);
-    setBestScore((p) => Math.max(p, dtwResult.score));
-    setPhase(PHASE.FEEDBACK);
-  }, [phase, refData]);
+    return () => controller.abort();
+    // Updates made when scoring finishes (settings, best score) come with
+    // the switch to FEEDBACK, so they don't start another run
+  }, [phase, refData, word.exemplars, word.scoring?.facialExpression, profile, settings, bestScore]);
 
   // === Canvas rendering ===
   useEffect(() => {
@@ -253,13 +362,36 @@ export default function MagicMirror({ word, onBack }) {
               ? recordedFramesRef.current[recordedFramesRef.current.length - 1]._t
               : 0;
             if (now - lastRecorded >= 100) {
-              recordedFramesRef.current.push({
-                pose: result.pose?.map(p => [p[0], p[1]]),
-                rightHand: result.rightHand?.map(p => [p[0], p[1]]),
-                leftHand: result.leftHand?.map(p => [p[0], p[1]]),
+              const frame = {
+                pose: result.pose?.map(p => [p[0], p[1], p[2]]),
+                poseConf: result.poseConf,
+                rightHand: result.rightHand?.map(p => [p[0], p[1], p[2]]),
+                rightHandConf: result.rightHandConf,
+                leftHand: result.leftHand?.map(p => [p[0], p[1], p[2]]),
+                leftHandConf: result.leftHandConf,
+                handsUncertain: result.handsUncertain,
                 face: result.face,
+                faceBlendshapes: result.faceBlendshapes,
                 _t: now,
-              });
+              };
+              recordedFramesRef.current.push(frame);
+
+              if (onsetRef.current?.push(frame)) {
+                const onset = onsetRef.current.time();
+                onsetRef.current = null;
+                practiceStartRef.current = onset;
+                recordedFramesRef.current = recordedFramesRef.current.filter((f) => f._t >= onset - ONSET_LEAD_MS);
+              }
+
+              if (matcherRef.current) {
+                const est = matcherRef.current.push(frame);
+                setLiveMatch((prev) => (prev?.onTrack === est.onTrack ? prev : est));
+                if (est.complete && settings.autoFinish) {
+                  console.log(`Sign complete after ${est.frames} frames, finishing early`);
+                  matcherRef.current = null;
+                  setPhase(PHASE.SCORING);
+                }
+              }
             }
           }
         }
@@ -278,10 +410,14 @@ export default function MagicMirror({ word, onBack }) {
     };
     draw();
     return () => { if (animRef.current) cancelAnimationFrame(animRef.current); };
-  }, [phase, webcamReady, practiceTime, refData, mpLoading, detect]);
+  }, [phase, webcamReady, practiceTime, refData, mpLoading, detect, settings.autoFinish]);
 
   // Actions
   const startWatch = () => setPhase(PHASE.WATCH);
+  const toggleSetting = (key) => setSettings(setSetting(key, !settings[key]));
+  const chooseHand = (hand) => setSettings(setSetting("dominantHand", hand));
+  const chooseProfile = (name) => setSettings(setSetting("scoringProfile", name));
+  const detectedHand = resolveDominantHand(settings);
   const retry = () => {
     setScore(null);
     setFeedback(null);
@@ -303,9 +439,9 @@ export default function MagicMirror({ word, onBack }) {
   };
 
   // Tier-based feedback (no numeric score shown to users)
-  // 0 stars: 0-30, 1 star: 31-60, 2 stars: 61-85, 3 stars: 86-100
+  // Star thresholds come from the scoring profile (standard: 0-30, 31-60, 61-69, 70-100)
   const getTier = (s) => {
-    const stars = getStarRating(s);
+    const stars = getStarRating(s, profile);
     if (stars === 3) return { emoji: "\u{1F31F}", label: "Amazing!", stars: 3, color: "#4ecdc4" };
     if (stars === 2) return { emoji: "\u{1F44F}", label: "Great Job!", stars: 2, color: "#ffe66d" };
     if (stars === 1) return { emoji: "\u{1F4AA}", label: "Good Try!", stars: 1, color: "#f0a86e" };
@@ -313,7 +449,7 @@ export default function MagicMirror({ word, onBack }) {
   };
 
   const getTierMessages = (s) => {
-    const stars = getStarRating(s);
+    const stars = getStarRating(s, profile);
     if (stars === 3) return ["Perfect sign!", "You nailed it!", "Brilliant work!"];
     if (stars === 2) return ["Almost perfect!", "Great signing!", "So close to perfect!"];
     if (stars === 1) return ["You're getting closer!", "Good start, keep going!", "You're learning!"];
@@ -359,6 +495,54 @@ export default function MagicMirror({ word, onBack }) {
               {!mpLoading && !mpError && (
                 <button className="btn-primary" onClick={startWatch}>START</button>
               )}
+              <div className="settings-row">
+                <label>
+                  <input type="checkbox" checked={settings.liveFeedback}
+                    onChange={() => toggleSetting("liveFeedback")} />
+                  Live feedback
+                </label>
+                <label>
+                  <input type="checkbox" checked={settings.autoFinish}
+                    onChange={() => toggleSetting("autoFinish")} />
+                  Finish when done
+                </label>
+                <label>
+                  <input type="checkbox" checked={settings.startOnMotion}
+                    onChange={() => toggleSetting("startOnMotion")} />
+                  Start when I move
+                </label>
+                <label>
+                  <input type="checkbox" checked={settings.similarSigns}
+                    onChange={() => toggleSetting("similarSigns")} />
+                  Check similar signs
+                </label>
+                <label>
+                  <input type="checkbox" checked={settings.smoothing}
+                    onChange={() => toggleSetting("smoothing")} />
+                  Steady tracking
+                </label>
+                <label>
+                  Dominant hand
+                  <select value={settings.dominantHand} onChange={(e) => chooseHand(e.target.value)}>
+                    <option value="auto">
+                      Auto{settings.dominantHand === "auto" && detectedHand !== "auto" ? ` (${detectedHand})` : ""}
+                    </option>
+                    <option value="right">Right</option>
+                    <option value="left">Left</option>
+                  </select>
+                </label>
+                <label title={word.scoring?.profile ? "Set for this word" : profile.description}>
+                  Strictness
+                  <select value={profile.name}
+                    disabled={!!word.scoring?.profile}
+                    onChange={(e) => chooseProfile(e.target.value)}>
+                    {Object.entries(SCORING_PROFILES).map(([name, p]) => (
+                      <option key={name} value={name}>{p.label}</option>
+                    ))}
+                    {!SCORING_PROFILES[profile.name] && <option value={profile.name}>{profile.label}</option>}
+                  </select>
+                </label>
+              </div>
               {attempts > 0 && <div className="stats">Attempts: {attempts}</div>}
             </div>
           )}
@@ -382,12 +566,20 @@ export default function MagicMirror({ word, onBack }) {
           {/* PRACTICE */}
           {phase === PHASE.PRACTICE && (
             <>
-              <div className="phase-badge practice">● RECORDING</div>
+              <div className="phase-badge practice">{waitingForMotion ? "● START WHEN READY" : "● RECORDING"}</div>
               <div className="progress-bar red"><div className="fill" style={{ width: `${practiceTime * 100}%` }} /></div>
               <div className="fps-badge">{fps} FPS · {recordedFramesRef.current.length} frames</div>
               {!detectedPose && (
                 <div className="ghost-hint">Stand back so your upper body is visible</div>
               )}
+              {detectedPose && waitingForMotion && (
+                <div className="ghost-hint">The timer starts when you start signing</div>
+              )}
+              {detectedPose && settings.liveFeedback && liveMatch && (
+                <div className={`live-badge ${liveMatch.onTrack ? "on-track" : ""}`}>
+                  {liveMatch.onTrack ? "✓ ON TRACK" : "KEEP GOING"}
+                </div>
+              )}
             </>
           )}
 
@@ -395,6 +587,7 @@ export default function MagicMirror({ word, onBack }) {
           {phase === PHASE.SCORING && (
             <div className="overlay scoring">
               <div className="loading-badge">Calculating score...</div>
+              <button className="btn-secondary" onClick={retry}>START OVER</button>
             </div>
           )}
 
@@ -0,0 +1,414 @@
+import { useState, useEffect, useRef, useCallback } from "react";
+import { drawLiveSkeleton } from "../utils/drawing";
+import { getStarRating } from "../utils/poseComparison";
+import { recognizeSignAsync, isAbortError } from "../utils/scoringClient";
+import { loadLibrary, prepareWords } from "../utils/library";
+import { getSettings, resolveDominantHand } from "../utils/settings";
+import { segmentSign, createOnsetDetector } from "../utils/segmentation";
+import useMediaPipe from "../hooks/useMediaPipe";
+import "./MagicMirror.css";
+import "./RecognizePage.css";
+
+const PHASE = {
+  READY: "ready",
+  COUNTDOWN: "countdown",
+  RECORDING: "recording",
+  MATCHING: "matching",
+  RESULTS: "results",
+};
+
+// Recording length once the learner starts moving, and how long to wait for that
+const RECORD_MS = 4000;
+const MAX_MOTION_WAIT_MS = 5000;
+// Lead-in kept before the detected start of motion
+const ONSET_LEAD_MS = 1000;
+// Matches shown
+const TOP_MATCHES = 5;
+
+/**
+ * Recognition mode: the learner signs freely and sees which library
+ * words the attempt looks most like (see recognizeSign).
+ */
+export default function RecognizePage({ onBack, onPractice }) {
+  const [phase, setPhase] = useState(PHASE.READY);
+  const [countdown, setCountdown] = useState(3);
+  const [library, setLibrary] = useState(null);
+  const [matches, setMatches] = useState(null);
+  const [error, setError] = useState(null);
+  const [webcamReady, setWebcamReady] = useState(false);
+  const [recordTime, setRecordTime] = useState(0);
+  const [waitingForMotion, setWaitingForMotion] = useState(false);
+  const [detectedPose, setDetectedPose] = useState(false);
+  // Learner settings (dominant hand and scoring profile)
+  const [settings] = useState(getSettings);
+
+  const canvasRef = useRef(null);
+  const webcamRef = useRef(null);
+  const streamRef = useRef(null);
+  const animRef = useRef(null);
+  const frameRef = useRef(null);
+  const recordedFramesRef = useRef([]);
+  const recordStartRef = useRef(null);
+  const onsetRef = useRef(null);
+
+  const { loading: mpLoading, error: mpError, detect } = useMediaPipe({
+    smoothing: settings.smoothing,
+    smoothingFilter: settings.smoothingFilter,
+  });
+
+  // Load every word with its reference data
+  useEffect(() => {
+    loadLibrary()
+      .then(setLibrary)
+      .catch((e) => {
+        console.error("Failed to load library:", e);
+        setLibrary([]);
+      });
+  }, []);
+
+  // Canvas resize
+  const resizeCanvas = useCallback(() => {
+    const canvas = canvasRef.current;
+    const container = frameRef.current;
+    if (!canvas || !container) return;
+    const rect = container.getBoundingClientRect();
+    const dpr = window.devicePixelRatio || 1;
+    canvas.width = rect.width * dpr;
+    canvas.height = rect.height * dpr;
+    canvas.style.width = rect.width + "px";
+    canvas.style.height = rect.height + "px";
+    canvas.getContext("2d").setTransform(dpr, 0, 0, dpr, 0, 0);
+  }, []);
+
+  useEffect(() => {
+    resizeCanvas();
+    window.addEventListener("resize", resizeCanvas);
+    return () => window.removeEventListener("resize", resizeCanvas);
+  }, [resizeCanvas]);
+
+  // Webcam
+  const startWebcam = useCallback(async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { width: { ideal: 1280 }, height: { ideal: 720 }, facingMode: "user" },
+      });
+      if (webcamRef.current) {
+        webcamRef.current.srcObject = stream;
+        await webcamRef.current.play();
+      }
+      streamRef.current = stream;
+      setWebcamReady(true);
+    } catch (e) {
+      console.warn("Webcam unavailable:", e);
+    }
+  }, []);
+
+  const stopWebcam = useCallback(() => {
+    if (streamRef.current) {
+      streamRef.current.getTracks().forEach((t) => t.stop());
+      streamRef.current = null;
+    }
+    setWebcamReady(false);
+  }, []);
+
+  useEffect(() => () => {
+    stopWebcam();
+    if (animRef.current) cancelAnimationFrame(animRef.current);
+  }, [stopWebcam]);
+
+  // === COUNTDOWN ===
+  useEffect(() => {
+    if (phase !== PHASE.COUNTDOWN) return;
+    resizeCanvas();
+    recordedFramesRef.current = [];
+    const iv = setInterval(() => {
+      setCountdown((p) => {
+        if (p <= 1) { clearInterval(iv); setPhase(PHASE.RECORDING); return 0; }
+        return p - 1;
+      });
+    }, 1000);
+    return () => clearInterval(iv);
+  }, [phase, resizeCanvas]);
+
+  // === RECORDING (the timer starts when the learner starts moving) ===
+  useEffect(() => {
+    if (phase !== PHASE.RECORDING) return;
+    const waitStart = Date.now();
+    recordStartRef.current = null;
+    onsetRef.current = createOnsetDetector();
+
+    const timer = setInterval(() => {
+      const now = Date.now();
+      if (recordStartRef.current === null) {
+        if (now - waitStart < MAX_MOTION_WAIT_MS) return;
+        onsetRef.current = null;
+        recordStartRef.current = now;
+      }
+      setWaitingForMotion(false);
+      const progress = (now - recordStartRef.current) / RECORD_MS;
+      setRecordTime(Math.min(progress, 1));
+      if (progress >= 1) {
+        clearInterval(timer);
+        setPhase(PHASE.MATCHING);
+      }
+    }, 50);
+
+    return () => clearInterval(timer);
+  }, [phase]);
+
+  // === MATCHING (ranks the library in the scoring worker) ===
+  useEffect(() => {
+    if (phase !== PHASE.MATCHING || !library) return;
+
+    const segment = segmentSign(recordedFramesRef.current);
+    const recorded = segment.active && segment.end - segment.start >= 2
+      ? recordedFramesRef.current.slice(segment.start, segment.end + 1)
+      : recordedFramesRef.current;
+    console.log(`Recognising: ${recorded.length} of ${recordedFramesRef.current.length} recorded frames against ${library.length} words`);
+
+    // Without a usable pose there are simply no matches
+    const controller = new AbortController();
+    recognizeSignAsync(recorded, prepareWords(library, settings),
+                       { top: TOP_MATCHES, dominantHand: resolveDominantHand(settings), profile: settings.scoringProfile },
+                       { signal: controller.signal })
+      .then(({ matches: found }) => {
+        setMatches(found);
+        setError(null);
+        setPhase(PHASE.RESULTS);
+      })
+      .catch((e) => {
+        if (isAbortError(e)) return;
+        console.error("Recognition failed:", e);
+        setMatches([]);
+        setError("Something went wrong. Let's try again!");
+        setPhase(PHASE.RESULTS);
+      });
+
+    return () => controller.abort();
+  }, [phase, library, settings]);
+
+  // === Canvas rendering ===
+  useEffect(() => {
+    const canvas = canvasRef.current;
+    if (!canvas) return;
+    if (phase !== PHASE.RECORDING && phase !== PHASE.COUNTDOWN) return;
+    const ctx = canvas.getContext("2d");
+    const dpr = window.devicePixelRatio || 1;
+
+    const draw = () => {
+      const w = canvas.width / dpr;
+      const h = canvas.height / dpr;
+
+      ctx.clearRect(0, 0, w, h);
+      ctx.fillStyle = "#0c0c14";
+      ctx.fillRect(0, 0, w, h);
+
+      const vw = webcamRef.current?.videoWidth || w;
+      const vh = webcamRef.current?.videoHeight || h;
+      const videoAspect = vw / vh;
+      const canvasAspect = w / h;
+      let dw, dh, dx, dy;
+      if (videoAspect > canvasAspect) {
+        dw = w; dh = w / videoAspect;
+        dx = 0; dy = (h - dh) / 2;
+      } else {
+        dh = h; dw = h * videoAspect;
+        dx = (w - dw) / 2; dy = 0;
+      }
+
+      // Mirrored webcam
+      if (webcamReady && webcamRef.current) {
+        ctx.save();
+        if (phase === PHASE.COUNTDOWN) ctx.globalAlpha = 0.3;
+        ctx.translate(w, 0);
+        ctx.scale(-1, 1);
+        ctx.drawImage(webcamRef.current, dx, dy, dw, dh);
+        ctx.restore();
+      }
+
+      // MediaPipe detection
+      if (webcamReady && webcamRef.current && !mpLoading) {
+        const result = detect(webcamRef.current, performance.now());
+
+        if (result.pose || result.rightHand || result.leftHand) {
+          setDetectedPose(true);
+
+          ctx.save();
+          ctx.translate(dx, dy);
+          drawLiveSkeleton(ctx, result, dw, dh, true, {
+            poseColor: "#00ff88",
+            handColor: "#ff6b6b",
+            leftHandColor: "#6bc5ff",
+            poseWidth: 3,
+            handWidth: 2.5,
+            dotRadius: 5,
+          });
+          ctx.restore();
+
+          // Record frame (subsample to ~10fps)
+          if (phase === PHASE.RECORDING) {
+            const now = Date.now();
+            const frames = recordedFramesRef.current;
+            const lastRecorded = frames.length > 0 ? frames[frames.length - 1]._t : 0;
+            if (now - lastRecorded >= 100) {
+              const frame = {
+                pose: result.pose?.map(p => [p[0], p[1], p[2]]),
+                poseConf: result.poseConf,
+                rightHand: result.rightHand?.map(p => [p[0], p[1], p[2]]),
+                rightHandConf: result.rightHandConf,
+                leftHand: result.leftHand?.map(p => [p[0], p[1], p[2]]),
+                leftHandConf: result.leftHandConf,
+                handsUncertain: result.handsUncertain,
+                face: result.face,
+                faceBlendshapes: result.faceBlendshapes,
+                _t: now,
+              };
+              frames.push(frame);
+
+              if (onsetRef.current?.push(frame)) {
+                const onset = onsetRef.current.time();
+                onsetRef.current = null;
+                recordStartRef.current = onset;
+                recordedFramesRef.current = frames.filter((f) => f._t >= onset - ONSET_LEAD_MS);
+              }
+            }
+          }
+        }
+      }
+
+      animRef.current = requestAnimationFrame(draw);
+    };
+    draw();
+    return () => { if (animRef.current) cancelAnimationFrame(animRef.current); };
+  }, [phase, webcamReady, mpLoading, detect]);
+
+  // Actions
+  const start = () => {
+    setMatches(null);
+    setError(null);
+    setCountdown(3);
+    setDetectedPose(false);
+    setWaitingForMotion(true);
+    setRecordTime(0);
+    if (!streamRef.current) startWebcam();
+    setPhase(PHASE.COUNTDOWN);
+  };
+  const finishEarly = () => setPhase(PHASE.MATCHING);
+  const backToMenu = () => {
+    stopWebcam();
+    recordedFramesRef.current = [];
+    onBack();
+  };
+
+  const showCanvas = phase === PHASE.RECORDING || phase === PHASE.COUNTDOWN;
+  const best = matches?.[0];
+  const recognised = best && getStarRating(best.score, settings.scoringProfile) > 0;
+
+  return (
+    <div className="mirror-root">
+      <div className={`ambient ${phase === PHASE.RECORDING ? "active" : "idle"}`} />
+      <div className="content">
+        <div className="mirror-header">
+          <div className="subtitle">SIGN LANGUAGE LEARNING TOOL</div>
+          <h1>WHAT SIGN IS THIS?</h1>
+        </div>
+
+        <div className="mirror-frame" ref={frameRef}>
+          <canvas ref={canvasRef} className={showCanvas ? "" : "hidden"} />
+          <video ref={webcamRef} className="hidden" playsInline muted />
+
+          {/* READY */}
+          {phase === PHASE.READY && (
+            <div className="overlay select">
+              <div className="emoji">🔍</div>
+              <div className="label">SIGN FREELY</div>
+              <div className="hint">Do any sign you know and we'll find the closest words</div>
+              {mpLoading && <div className="loading-badge">Loading MediaPipe models...</div>}
+              {mpError && <div className="error-badge">⚠ {mpError}</div>}
+              {!library && <div className="loading-badge">Loading signs...</div>}
+              {library?.length === 0 && <div className="error-badge">No signs in the library yet</div>}
+              {!mpLoading && !mpError && library?.length > 0 && (
+                <button className="btn-primary" onClick={start}>START</button>
+              )}
+              <button className="btn-secondary recognize-back" onClick={backToMenu}>MENU</button>
+            </div>
+          )}
+
+          {/* COUNTDOWN */}
+          {phase === PHASE.COUNTDOWN && (
+            <div className="overlay countdown">
+              <div className="countdown-label">GET READY</div>
+              <div className="countdown-number">{countdown}</div>
+            </div>
+          )}
+
+          {/* RECORDING */}
+          {phase === PHASE.RECORDING && (
+            <>
+              <div className="phase-badge practice">{waitingForMotion ? "● START WHEN READY" : "● RECORDING"}</div>
+              <div className="progress-bar red"><div className="fill" style={{ width: `${recordTime * 100}%` }} /></div>
+              {!detectedPose && (
+                <div className="ghost-hint">Stand back so your upper body is visible</div>
+              )}
+              {detectedPose && !waitingForMotion && (
+                <button className="btn-secondary recognize-done" onClick={finishEarly}>DONE</button>
+              )}
+            </>
+          )}
+
+          {/* MATCHING */}
+          {phase === PHASE.MATCHING && (
+            <div className="overlay scoring">
+              <div className="loading-badge">Finding your sign...</div>
+            </div>
+          )}
+
+          {/* RESULTS */}
+          {phase === PHASE.RESULTS && matches && (
+            <div className="overlay feedback">
+              {error ? (
+                <div className="tier-message">{error}</div>
+              ) : matches.length === 0 ? (
+                <div className="tier-message">Could not detect your pose. Make sure your upper body is visible.</div>
+              ) : recognised ? (
+                <>
+                  <div className="feedback-emoji">🤟</div>
+                  <div className="tier-message">That looked like</div>
+                  <div className="tier-label recognize-best">"{best.label}"</div>
+                </>
+              ) : (
+                <>
+                  <div className="feedback-emoji">🤔</div>
+                  <div className="tier-message">We're not sure which sign that was. Here are the closest ones:</div>
+                </>
+              )}
+              {matches.length > 0 && (
+                <div className="recognize-matches">
+                  {matches.map((m) => {
+                    const stars = getStarRating(m.score, settings.scoringProfile);
+                    return (
+                      <div key={m.id} className="recognize-match">
+                        <span className="match-label">{m.label}</span>
+                        <span className="match-category">{m.category}</span>
+                        <span className="match-stars">{"★".repeat(stars)}{"☆".repeat(3 - stars)}</span>
+                        <button className="match-practice" onClick={() => { stopWebcam(); onPractice(m.id); }}>
+                          PRACTISE
+                        </button>
+                      </div>
+                    );
+                  })}
+                </div>
+              )}
+              <div className="button-row">
+                <button className="btn-accent" onClick={start}>TRY ANOTHER</button>
+                <button className="btn-secondary" onClick={backToMenu}>MENU</button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        <div className="mirror-footer">PROTOTYPE · INCLUSIVE TECHNOLOGIES GROUP · QUT</div>
+      </div>
+    </div>
+  );
+}
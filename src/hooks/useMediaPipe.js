@@ -1,136 +1,89 @@
-import { useRef, useState, useCallback, useEffect } from "react";
-import { PoseLandmarker, HandLandmarker, FaceLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
+import { useState, useCallback, useEffect, useRef } from "react";
+import { loadDetection, isDetectionReady, detectionInfo, detectFrame } from "../utils/mediapipe";
+import { createHandTracker } from "../utils/handTracking";
+import { createLandmarkSmoother } from "../utils/smoothing";
+import { getSettings } from "../utils/settings";
 
 /**
- * Hook to initialize and run MediaPipe pose + hand + face detection.
+ * Hook to run MediaPipe pose + hand + face detection on the webcam,
+ * using the shared detection service (see utils/mediapipe.js). Models
+ * are loaded once and stay loaded across pages.
+ *
+ * Hands are assigned to the signer's right and left by tracking them
+ * across frames (see handTracking.js). Landmarks are then smoothed over
+ * time (see smoothing.js) unless `options.smoothing` is false, with the
+ * filter parameters in `options.smoothingFilter`; both default to the
+ * learner settings.
  *
  * Returns:
  *  - loading: boolean (model still loading)
  *  - error: string | null
- *  - detect(videoEl, timestamp): { pose, leftHand, rightHand, face }
- *  - cleanup(): void
+ *  - info: pose model and delegates the landmarkers run with, null while
+ *          loading (see detectionInfo)
+ *  - detect(videoEl, timestamp): { pose, poseConf, leftHand, leftHandConf,
+ *                                  rightHand, rightHandConf, face, faceBlendshapes }
+ *    poseConf holds per-landmark visibility, *HandConf the handedness score,
+ *    faceBlendshapes the 52 blendshape scores in MediaPipe category order,
+ *    handsUncertain whether the hands may be the wrong way round.
+ *  - reload(config): load with another { poseModel, delegate }
  */
-export default function useMediaPipe() {
-  const [loading, setLoading] = useState(true);
+export default function useMediaPipe(options = {}) {
+  const [settings] = useState(getSettings);
+  const smoothing = options.smoothing ?? settings.smoothing;
+  // Compared by value, so callers can pass a fresh object every render
+  const filterKey = JSON.stringify(options.smoothingFilter ?? settings.smoothingFilter ?? {});
+  const [loading, setLoading] = useState(() => !isDetectionReady());
   const [error, setError] = useState(null);
-  const poseRef = useRef(null);
-  const handRef = useRef(null);
-  const faceRef = useRef(null);
-  const initRef = useRef(false);
-
-  useEffect(() => {
-    if (initRef.current) return;
-    initRef.current = true;
-
-    (async () => {
-      try {
-        setLoading(true);
-        setError(null);
-
-        const vision = await FilesetResolver.forVisionTasks(
-          "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.32/wasm"
-        );
-
-        // Pose landmarker - 33 body landmarks
-        poseRef.current = await PoseLandmarker.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath:
-              "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
-            delegate: "GPU",
-          },
-          runningMode: "VIDEO",
-          numPoses: 1,
-        });
-
-        // Hand landmarker - 21 landmarks per hand
-        handRef.current = await HandLandmarker.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath:
-              "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
-            delegate: "GPU",
-          },
-          runningMode: "VIDEO",
-          numHands: 2,
-        });
-
-        // Face landmarker - 478 face mesh landmarks
-        faceRef.current = await FaceLandmarker.createFromOptions(vision, {
-          baseOptions: {
-            modelAssetPath:
-              "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
-            delegate: "GPU",
-          },
-          runningMode: "VIDEO",
-          numFaces: 1,
-          outputFaceBlendshapes: false,
-        });
-
+  const [info, setInfo] = useState(detectionInfo);
+  const mountedRef = useRef(true);
+  const trackerRef = useRef(null);
+  const smootherRef = useRef(null);
+
+  const load = useCallback((config) => {
+    loadDetection(config)
+      .then(() => {
+        if (!mountedRef.current) return;
+        setInfo(detectionInfo());
         setLoading(false);
-      } catch (e) {
+      })
+      .catch((e) => {
         console.error("MediaPipe init failed:", e);
+        if (!mountedRef.current) return;
         setError(e.message || "Failed to load MediaPipe models");
         setLoading(false);
-      }
-    })();
+      });
   }, []);
 
+  useEffect(() => {
+    mountedRef.current = true;
+    load();
+    return () => { mountedRef.current = false; };
+  }, [load]);
+
+  const reload = useCallback((config) => {
+    setLoading(true);
+    setError(null);
+    setInfo(null);
+    load(config);
+  }, [load]);
+
   /**
-   * Run detection on a video frame.
+   * Run detection on a webcam frame (shown mirrored, so handedness is swapped).
    * @param {HTMLVideoElement} video
    * @param {number} timestamp - performance.now() or similar
-   * @returns {{ pose: array|null, leftHand: array|null, rightHand: array|null }}
    */
   const detect = useCallback((video, timestamp) => {
-    const result = { pose: null, leftHand: null, rightHand: null, face: null };
-
-    if (!video || video.readyState < 2) return result;
-
-    try {
-      // Pose
-      if (poseRef.current) {
-        const poseResult = poseRef.current.detectForVideo(video, timestamp);
-        if (poseResult.landmarks && poseResult.landmarks.length > 0) {
-          result.pose = poseResult.landmarks[0].map((lm) => [lm.x, lm.y, lm.z]);
-        }
-      }
-
-      // Hands
-      if (handRef.current) {
-        const handResult = handRef.current.detectForVideo(video, timestamp);
-        if (handResult.landmarks) {
-          for (let i = 0; i < handResult.landmarks.length; i++) {
-            const hand = handResult.landmarks[i].map((lm) => [lm.x, lm.y, lm.z]);
-            const label = handResult.handednesses[i]?.[0]?.categoryName;
-            // MediaPipe reports handedness from camera's perspective
-            // Since webcam is mirrored, "Left" in results = user's right hand
-            if (label === "Left") {
-              result.rightHand = hand;
-            } else {
-              result.leftHand = hand;
-            }
-          }
-        }
-      }
-
-      // Face mesh (478 landmarks)
-      if (faceRef.current) {
-        const faceResult = faceRef.current.detectForVideo(video, timestamp);
-        if (faceResult.faceLandmarks && faceResult.faceLandmarks.length > 0) {
-          result.face = faceResult.faceLandmarks[0].map((lm) => [lm.x, lm.y]);
-        }
-      }
-    } catch (e) {
-      // Detection can fail on some frames, just skip
-    }
-
-    return result;
-  }, []);
-
-  const cleanup = useCallback(() => {
-    if (poseRef.current) { poseRef.current.close(); poseRef.current = null; }
-    if (handRef.current) { handRef.current.close(); handRef.current = null; }
-    if (faceRef.current) { faceRef.current.close(); faceRef.current = null; }
-  }, []);
+    if (!trackerRef.current) trackerRef.current = createHandTracker();
+    const frame = trackerRef.current.assign(detectFrame(video, timestamp, { mirrored: true }), timestamp);
+    if (!smoothing) return frame;
+    if (!smootherRef.current) smootherRef.current = createLandmarkSmoother(JSON.parse(filterKey));
+    return smootherRef.current.smooth(frame, timestamp);
+  }, [smoothing, filterKey]);
+
+  // Start over when smoothing is switched on again or the filter changes
+  useEffect(() => {
+    smootherRef.current = null;
+  }, [smoothing, filterKey]);
 
-  return { loading, error, detect, cleanup };
+  return { loading, error, info, detect, reload };
 }
@@ -0,0 +1,211 @@
+/**
+ * Score calibration from facilitator ratings.
+ *
+ * Facilitators record attempts and rate each one 0-3 stars. A sample keeps
+ * the attempt's score trace (compareDTW with `trace: true`), so it can be
+ * rescored with other parameters without aligning it again. fitProfile
+ * searches for the sigma, component weights and star thresholds whose
+ * star ratings agree best with the facilitators:
+ *
+ *   const fit = fitProfile(samples, "standard");
+ *   fit.profile  // custom scoring profile, see resolveProfile
+ *   fit.before   // agreement of the base profile (see agreementStats)
+ *   fit.after    // agreement of the fitted profile
+ *
+ * Fitting runs in three steps: component weights for the best correlation
+ * between score and rating, then sigma for the best agreement with the
+ * base star thresholds, then the thresholds themselves.
+ */
+
+import { featureNames, scoreTrace, getStarRating } from "./poseComparison";
+import { SCORING_PROFILES, resolveProfile } from "./scoringProfiles";
+
+// Fewer rated attempts than this can't say much about the parameters
+export const MIN_SAMPLES = 8;
+
+// Candidate values searched for sigma and each component weight
+const SIGMA_GRID = Array.from({ length: 21 }, (_, i) => Math.round((0.5 + i * 0.05) * 100) / 100);
+const WEIGHT_GRID = [0.5, 1.0, 1.5, 2.0, 2.5, 3.0, 4.0];
+// Coordinate descent passes over the component weights
+const WEIGHT_PASSES = 3;
+
+// Samples rated within the same millisecond still get distinct ids
+let nextSampleId = 1;
+
+/**
+ * A rated attempt for calibration.
+ *
+ * @param {Object} result - compareDTW result scored with `trace: true`
+ * @param {number} rating - facilitator's stars, 0-3
+ * @param {string} [word] - label of the word attempted
+ */
+export function makeSample(result, rating, word = null) {
+  if (!result.trace) throw new Error("Attempt was scored without a trace");
+  return { id: `sample_${Date.now()}_${nextSampleId++}`, word, rating, score: result.score, trace: result.trace };
+}
+
+function pearson(xs, ys) {
+  const n = xs.length;
+  const mx = xs.reduce((a, b) => a + b, 0) / n;
+  const my = ys.reduce((a, b) => a + b, 0) / n;
+  let sxy = 0, sxx = 0, syy = 0;
+  for (let i = 0; i < n; i++) {
+    sxy += (xs[i] - mx) * (ys[i] - my);
+    sxx += (xs[i] - mx) ** 2;
+    syy += (ys[i] - my) ** 2;
+  }
+  return sxx > 0 && syy > 0 ? sxy / Math.sqrt(sxx * syy) : 0;
+}
+
+/**
+ * How well a profile's star ratings agree with the facilitators.
+ *
+ * @param {Array} samples - see makeSample
+ * @param {string|Object} profile - scoring profile
+ * @returns {{ count, confusion, exact, withinOne, correlation }}
+ *   confusion[rating][stars] counts samples by facilitator rating and
+ *   predicted stars; exact and withinOne are fractions of samples;
+ *   correlation is Pearson's r between score and rating.
+ */
+export function agreementStats(samples, profile) {
+  const resolved = resolveProfile(profile);
+  const confusion = [0, 1, 2, 3].map(() => [0, 0, 0, 0]);
+  const scores = samples.map((s) => scoreTrace(s.trace, resolved));
+  let exact = 0, withinOne = 0;
+  samples.forEach((s, i) => {
+    const stars = getStarRating(scores[i], resolved);
+    confusion[s.rating][stars]++;
+    if (stars === s.rating) exact++;
+    if (Math.abs(stars - s.rating) <= 1) withinOne++;
+  });
+  const n = samples.length || 1;
+  return {
+    count: samples.length,
+    confusion,
+    exact: exact / n,
+    withinOne: withinOne / n,
+    correlation: samples.length > 1 ? pearson(scores, samples.map((s) => s.rating)) : 0,
+  };
+}
+
+/**
+ * Star thresholds that agree with the most ratings for fixed scores,
+ * closest to `base` among equally good ones. Counts per score make every
+ * candidate an O(1) lookup.
+ */
+function fitThresholds(scores, ratings, base) {
+  const counts = [0, 1, 2, 3].map(() => new Array(101).fill(0));
+  scores.forEach((score, i) => counts[ratings[i]][score]++);
+  // below[r][t] = samples rated r with score < t
+  const below = counts.map((c) => {
+    const b = [0];
+    for (let t = 0; t <= 100; t++) b.push(b[t] + c[t]);
+    return b;
+  });
+  const total = below.map((b) => b[101]);
+
+  let best = null;
+  for (let t1 = 1; t1 <= 98; t1++) {
+    for (let t2 = t1 + 1; t2 <= 99; t2++) {
+      for (let t3 = t2 + 1; t3 <= 100; t3++) {
+        const agree = below[0][t1]
+          + below[1][t2] - below[1][t1]
+          + below[2][t3] - below[2][t2]
+          + total[3] - below[3][t3];
+        const drift = Math.abs(t1 - base[0]) + Math.abs(t2 - base[1]) + Math.abs(t3 - base[2]);
+        if (!best || agree > best.agree || (agree === best.agree && drift < best.drift)) {
+          best = { agree, drift, stars: [t1, t2, t3] };
+        }
+      }
+    }
+  }
+  return best.stars;
+}
+
+/**
+ * Fit a scoring profile to rated attempts.
+ *
+ * @param {Array} samples - see makeSample
+ * @param {string|Object} [base] - profile to start from; caps and anything
+ *   not fitted come from it
+ * @returns {{ profile, before, after }} profile is a custom profile object
+ *   ({ base, name, label, sigma, weights, stars, ...caps }) for settings or words
+ */
+export function fitProfile(samples, base = "standard") {
+  if (samples.length < MIN_SAMPLES) {
+    throw new Error(`Rate at least ${MIN_SAMPLES} attempts first (${samples.length} so far)`);
+  }
+  if (new Set(samples.map((s) => s.rating)).size < 2) {
+    throw new Error("Ratings must include at least two different star levels");
+  }
+  const start = resolveProfile(base);
+  const ratings = samples.map((s) => s.rating);
+  const scoresWith = (params) => samples.map((s) => scoreTrace(s.trace, { ...start, ...params }));
+
+  // 1. Weights: coordinate descent on the score/rating correlation
+  const names = featureNames();
+  const weights = Object.fromEntries(names.map((name) => [name, start.weights[name]]));
+  let bestR = pearson(scoresWith({ weights }), ratings);
+  for (let pass = 0; pass < WEIGHT_PASSES; pass++) {
+    let improved = false;
+    for (const name of names) {
+      for (const w of WEIGHT_GRID) {
+        const r = pearson(scoresWith({ weights: { ...weights, [name]: w } }), ratings);
+        if (r > bestR + 1e-6) {
+          bestR = r;
+          weights[name] = w;
+          improved = true;
+        }
+      }
+    }
+    if (!improved) break;
+  }
+  // Components left alone keep their default weight
+  for (const name of names) {
+    if (weights[name] === undefined) delete weights[name];
+  }
+
+  // 2. Sigma: most exact agreement with the base thresholds, then the
+  //    smallest star error, then the closest to the base sigma
+  let sigma = start.sigma;
+  let bestSigma = null;
+  for (const candidate of SIGMA_GRID) {
+    const scores = scoresWith({ weights, sigma: candidate });
+    let agree = 0, error = 0;
+    scores.forEach((score, i) => {
+      const stars = getStarRating(score, start);
+      if (stars === ratings[i]) agree++;
+      error += Math.abs(stars - ratings[i]);
+    });
+    const drift = Math.abs(candidate - start.sigma);
+    if (!bestSigma || agree > bestSigma.agree
+        || (agree === bestSigma.agree && (error < bestSigma.error
+            || (error === bestSigma.error && drift < bestSigma.drift)))) {
+      bestSigma = { agree, error, drift };
+      sigma = candidate;
+    }
+  }
+
+  // 3. Star thresholds for the fitted scores
+  const stars = fitThresholds(scoresWith({ weights, sigma }), ratings, start.stars);
+
+  const profile = {
+    base: SCORING_PROFILES[start.name] ? start.name : start.base,
+    name: "calibrated",
+    label: "Calibrated",
+    description: `Fitted to ${samples.length} rated attempts`,
+    sigma,
+    weights,
+    stars,
+    motionCaps: start.motionCaps,
+    expressionCaps: start.expressionCaps,
+    headCap: start.headCap,
+    headPartCap: start.headPartCap,
+  };
+  console.log("Calibrated profile:", profile);
+  return {
+    profile,
+    before: agreementStats(samples, start),
+    after: agreementStats(samples, profile),
+  };
+}
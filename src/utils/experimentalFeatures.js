@@ -0,0 +1,18 @@
+/**
+ * Experimental feature extractors for scoring.
+ *
+ * Scoring runs in a Web Worker with its own copy of poseComparison.js, so
+ * new cues must be registered in a module both threads load. This one is
+ * imported by scoringClient.js (main thread) and the scoring worker.
+ * Register cues here with registerFeature (see poseComparison.js), e.g.:
+ *
+ *   import { registerFeature } from "./poseComparison";
+ *
+ *   registerFeature({
+ *     name: "shoulderShrug", part: "arms", dims: 2, weight: 1,
+ *     extract: ({ subset }) => [subset[0][1], subset[1][1]],
+ *   });
+ *
+ * A registered cue is scored like the built-in features: its weight can be
+ * set per scoring profile (scoringProfiles.js) and fitted by calibration.
+ */
@@ -0,0 +1,133 @@
+/**
+ * Hand identity tracking: which detected hand is the signer's right and
+ * which the left.
+ *
+ * MediaPipe's per-frame handedness label flips when the hands cross or one
+ * is only partly visible, which swaps the finger-angle features between
+ * hands mid-sign. The tracker assigns each detected hand to a side by how
+ * close its wrist is to the pose wrist of that side (pose 16 right, 15
+ * left) and to where that side's hand was in recent frames; the label only
+ * decides when there is nothing else to go on.
+ *
+ *   const tracker = createHandTracker();
+ *   const frame = tracker.assign(detectFrame(video, t), t);
+ *
+ * Frames where the assignment was a close call (hands crossing or close
+ * together, a hand far from both pose wrists, a doubtful label) get
+ * `handsUncertain: true`, and their hand confidences are scaled down so
+ * scoring relies less on their finger features.
+ */
+
+// Full 33-point pose indices (see mediapipe.js)
+const POSE_WRIST = { right: 16, left: 15 };
+const LEFT_SHOULDER = 11;
+const RIGHT_SHOULDER = 12;
+const HAND_WRIST = 0;
+
+const SIDES = ["right", "left"];
+const other = (side) => (side === "right" ? "left" : "right");
+
+const TRACKING_DEFAULTS = {
+  minWristVisibility: 0.5, // pose wrists less visible than this are ignored
+  maxGapMs: 500,           // a side's last position is forgotten after this
+  margin: 0.15,            // cost difference (shoulder widths) below which the assignment is uncertain
+  maxDistance: 1.0,        // a hand further than this from its side's evidence is uncertain
+  minLabelScore: 0.8,      // label-only assignments below this score are uncertain
+  uncertainConfScale: 0.6, // hand confidences are scaled by this when uncertain
+};
+
+const dist = (a, b) => Math.hypot(a[0] - b[0], a[1] - b[1]);
+
+// Shoulder width as the distance unit, so thresholds don't depend on how
+// far the signer stands from the camera
+function shoulderWidth(pose) {
+  const width = pose ? dist(pose[LEFT_SHOULDER], pose[RIGHT_SHOULDER]) : 0;
+  return width > 0.01 ? width : 0.25;
+}
+
+/**
+ * Tracker for one stream of frames (the webcam, one video). Frames are
+ * detected frames (see mediapipe.js), with all detected hands in `hands`.
+ *
+ * @param {Object} [options] - see TRACKING_DEFAULTS
+ * @returns {{ assign(frame, timestamp): Object, reset(): void }}
+ *   assign returns a new frame with rightHand/leftHand (and their
+ *   confidences) chosen by the tracker and handsUncertain set;
+ *   timestamp in ms
+ */
+export function createHandTracker(options = {}) {
+  const opts = { ...TRACKING_DEFAULTS, ...options };
+  let last = {}; // side → { wrist, t } of the hand last assigned to it
+
+  const reset = () => {
+    last = {};
+  };
+
+  // How far a hand's wrist is from the evidence for a side, in shoulder
+  // widths, or null without evidence
+  const sideCost = (hand, side, frame, unit, timestamp) => {
+    const wrist = hand.landmarks[HAND_WRIST];
+    const costs = [];
+    const poseWrist = frame.pose?.[POSE_WRIST[side]];
+    const visibility = frame.poseConf?.[POSE_WRIST[side]] ?? 1;
+    if (poseWrist && visibility >= opts.minWristVisibility) costs.push(dist(wrist, poseWrist) / unit);
+    const prev = last[side];
+    if (prev && timestamp - prev.t <= opts.maxGapMs) costs.push(dist(wrist, prev.wrist) / unit);
+    return costs.length > 0 ? costs.reduce((a, b) => a + b, 0) / costs.length : null;
+  };
+
+  const assign = (frame, timestamp) => {
+    if (Object.values(last).some((prev) => timestamp <= prev.t)) reset();
+    const hands = frame.hands || [];
+    const unit = shoulderWidth(frame.pose);
+    const costs = hands.map((hand) => Object.fromEntries(
+      SIDES.map((side) => [side, sideCost(hand, side, frame, unit, timestamp)])));
+    const hasEvidence = costs.some((c) => c.right !== null || c.left !== null);
+
+    let sides;      // side of each hand
+    let uncertain = false;
+    if (hands.length === 0) {
+      sides = [];
+    } else if (!hasEvidence) {
+      // Nothing but the labels: two hands with the same label get one each
+      sides = hands.map((hand) => hand.side);
+      if (sides.length === 2 && sides[0] === sides[1]) {
+        sides = hands[0].score >= hands[1].score ? [sides[0], other(sides[0])] : [other(sides[1]), sides[1]];
+      }
+      uncertain = hands.some((hand) => hand.score < opts.minLabelScore);
+    } else {
+      // A side without evidence costs as much as the worst one with some
+      const known = costs.flatMap((c) => [c.right, c.left]).filter((c) => c !== null);
+      const fallback = Math.max(...known, opts.maxDistance);
+      const cost = (i, side) => costs[i][side] ?? fallback;
+      if (hands.length === 1) {
+        const right = cost(0, "right"), left = cost(0, "left");
+        sides = [right <= left ? "right" : "left"];
+        uncertain = Math.abs(right - left) < opts.margin || Math.min(right, left) > opts.maxDistance;
+      } else {
+        const kept = cost(0, "right") + cost(1, "left");
+        const swapped = cost(0, "left") + cost(1, "right");
+        sides = kept <= swapped ? ["right", "left"] : ["left", "right"];
+        uncertain = Math.abs(kept - swapped) < opts.margin
+          || sides.some((side, i) => cost(i, side) > opts.maxDistance);
+      }
+    }
+
+    const result = {
+      ...frame,
+      rightHand: null, rightHandConf: null,
+      leftHand: null, leftHandConf: null,
+      handsUncertain: uncertain,
+    };
+    hands.forEach((hand, i) => {
+      const side = sides[i];
+      const scale = uncertain ? opts.uncertainConfScale : 1;
+      result[`${side}Hand`] = hand.landmarks;
+      result[`${side}HandConf`] = hand.score === null ? null : hand.score * scale;
+      last[side] = { wrist: hand.landmarks[HAND_WRIST], t: timestamp };
+    });
+    return result;
+  };
+
+  return { assign, reset };
+}
@@ -0,0 +1,116 @@
+/**
+ * The sign library: built-in words plus custom words from storage, with
+ * their reference data loaded, for recognition (see recognizeSign).
+ *
+ *   const library = await loadLibrary();
+ *   const { matches } = await recognizeSignAsync(frames, library);
+ *
+ * Words whose reference data can't be loaded are left out with a warning.
+ * Reference data is loaded as stored; prepareWords gets it ready for
+ * scoring with the current settings.
+ */
+
+import { getAllWords, getWord } from "./storage";
+import { recognizeSignAsync } from "./scoringClient";
+import { prepareReference } from "./smoothing";
+import { getSettings } from "./settings";
+import BUILTIN_WORDS from "../words";
+
+// A perfect copy of one sign scoring this on another (3 stars) means the
+// two can't be told apart
+const SIMILAR_SCORE = 70;
+
+async function loadBuiltin(word) {
+  const res = await fetch(word.refDataPath);
+  if (!res.ok) throw new Error(`HTTP ${res.status}`);
+  return {
+    id: word.id,
+    label: word.label,
+    category: word.category,
+    source: "builtin",
+    refData: await res.json(),
+    exemplars: [],
+    scoring: word.scoring || {},
+  };
+}
+
+async function loadCustom(word) {
+  const full = await getWord(word.id);
+  if (!full?.refData) throw new Error("no reference data");
+  return {
+    id: full.id,
+    label: full.label,
+    category: full.category || "Uncategorised",
+    source: "custom",
+    refData: full.refData,
+    exemplars: full.exemplars || [],
+    scoring: full.scoring || {},
+  };
+}
+
+/**
+ * Load every word with its reference data (and exemplars).
+ *
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - word ids to leave out
+ * @param {string} [options.category] - only load words in this category
+ * @returns {Promise<Array<{id, label, category, source, refData, exemplars, scoring}>>}
+ */
+export async function loadLibrary({ exclude = [], category = null } = {}) {
+  let custom = [];
+  try {
+    custom = await getAllWords();
+  } catch (e) {
+    console.warn("Failed to load custom words:", e);
+  }
+
+  const jobs = [
+    ...BUILTIN_WORDS.map((w) => ({ word: w, load: loadBuiltin })),
+    ...custom.filter((w) => w.hasRef).map((w) => ({ word: w, load: loadCustom })),
+  ].filter(({ word }) => !exclude.includes(word.id)
+    && (category === null || (word.category || "Uncategorised") === category));
+
+  const loaded = await Promise.all(jobs.map(async ({ word, load }) => {
+    try {
+      return await load(word);
+    } catch (e) {
+      console.warn(`Skipping "${word.label}" in library:`, e);
+      return null;
+    }
+  }));
+  return loaded.filter(Boolean);
+}
+
+/**
+ * Library words with their reference data (and exemplars) prepared for
+ * scoring, i.e. smoothed like live frames (see prepareReference).
+ *
+ * @param {Array} words - see loadLibrary
+ * @param {Object} [settings] - learner settings
+ */
+export function prepareWords(words, settings = getSettings()) {
+  return words.map((word) => ({
+    ...word,
+    refData: prepareReference(word.refData, settings),
+    exemplars: (word.exemplars || []).map((ex) => ({ ...ex, refData: prepareReference(ex.refData, settings) })),
+  }));
+}
+
+/**
+ * Existing signs a new reference recording is hard to tell apart from:
+ * library words that would give a perfect copy of it 3 stars.
+ *
+ * @param {Object} refData - processed upload (see processVideo)
+ * @param {Object} [options]
+ * @param {string[]} [options.exclude] - word ids to leave out (e.g. the word being edited)
+ * @param {AbortSignal} [options.signal]
+ * @returns {Promise<Array<{ id, label, category, distance, score }>>} closest first
+ */
+export async function findSimilarSigns(refData, { exclude = [], signal } = {}) {
+  const library = await loadLibrary({ exclude });
+  if (library.length === 0) return [];
+  const settings = getSettings();
+  const { matches } = await recognizeSignAsync(prepareReference(refData, settings).frames,
+                                               prepareWords(library, settings), { top: 3 }, { signal });
+  return matches.filter((m) => m.score >= SIMILAR_SCORE);
+}
@@ -1,81 +1,325 @@
 /**
- * MediaPipe integration for real-time pose + hand detection.
- * Uses @mediapipe/tasks-vision PoseLandmarker & HandLandmarker.
+ * Shared MediaPipe detection service: pose, hand and face landmarkers,
+ * loaded once and reused by the mirror, recognition, DebugMirror (through
+ * useMediaPipe) and the AdminPage video extractor (videoProcessor.js).
+ *
+ *   await loadDetection();
+ *   const frame = detectFrame(video, performance.now(), { mirrored: true });
+ *
+ * Every caller gets the same frame format:
+ *   { pose, poseConf, rightHand, rightHandConf, leftHand, leftHandConf, hands, face, faceBlendshapes }
+ *   - pose: 33 [x, y, z] landmarks, poseConf their visibility
+ *   - rightHand / leftHand: 21 [x, y, z] landmarks of the signer's hand,
+ *     *HandConf the handedness score. Chosen by MediaPipe's handedness
+ *     label, which can flip from frame to frame: a hand tracker
+ *     (handTracking.js) reassigns them from `hands`
+ *   - hands: every detected hand as { landmarks, side, score }, side being
+ *     "right" or "left" by the label
+ *   - face: 478 [x, y] face mesh landmarks
+ *   - faceBlendshapes: 52 scores in MediaPipe category order
+ * Missing parts are null.
+ *
+ * The landmarkers run in VIDEO mode, which needs strictly increasing
+ * timestamps. Callers use their own clocks (webcam time, video seek time),
+ * so a clock that runs behind the last timestamp is shifted forward,
+ * keeping the spacing between its frames for the landmarkers' tracking.
+ *
+ * The WASM runtime and models load from VITE_MEDIAPIPE_ASSETS (build time):
+ *   unset or "cdn" - jsDelivr and Google's model storage (needs internet)
+ *   "local"        - public/mediapipe/, served with the app under its base
+ *                    path; `npm run mediapipe:assets` fetches the files
+ *   any URL        - a self-hosted copy with the same layout
+ *                    (see mediapipeAssets.js)
  */
-import { PoseLandmarker, HandLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
 
-const WASM_PATH = "/mediapipe";
-const MODEL_CDN = "https://storage.googleapis.com/mediapipe-models";
+import { PoseLandmarker, HandLandmarker, FaceLandmarker, FilesetResolver } from "@mediapipe/tasks-vision";
+import { WASM_CDN, MODEL_CDN, WASM_FILES, POSE_MODELS, MODELS } from "./mediapipeAssets";
+import { getSettings } from "./settings";
 
-let poseLandmarker = null;
-let handLandmarker = null;
-let initialized = false;
+export const POSE_MODEL_NAMES = Object.keys(POSE_MODELS);
+export const DELEGATES = ["GPU", "CPU"];
+
+let loading = null;     // Promise of the landmarkers while (or once) loading
+let loadingKey = null;  // configKey of the landmarkers `loading` loads
+let creating = Promise.resolve(); // settles when the latest creation does
+let landmarkers = null; // { pose, hand, face } once loaded
+let info = null;        // see detectionInfo
+let lastTimestamp = 0;
+let clockOffset = 0;    // added to callers' timestamps, see nextTimestamp
 
 /**
- * Initialize MediaPipe models. Call once on app start.
+ * Detection configuration from the learner settings (poseModel, delegate),
+ * with unknown values replaced by the defaults.
+ *
+ * @returns {{ poseModel: string, delegate: "GPU"|"CPU" }}
  */
-export async function initMediaPipe(onProgress) {
-  if (initialized) return;
-
-  onProgress?.("Loading MediaPipe WASM...");
-  const vision = await FilesetResolver.forVisionTasks(WASM_PATH);
-
-  onProgress?.("Loading pose model...");
-  poseLandmarker = await PoseLandmarker.createFromOptions(vision, {
-    baseOptions: {
-      modelAssetPath: `${MODEL_CDN}/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task`,
-      delegate: "GPU",
-    },
+export function detectionConfig(settings = getSettings()) {
+  return {
+    poseModel: POSE_MODELS[settings.poseModel] ? settings.poseModel : "lite",
+    delegate: DELEGATES.includes(settings.delegate) ? settings.delegate : "GPU",
+  };
+}
+
+const configKey = (config) => `${config.poseModel}/${config.delegate}`;
+
+/**
+ * Where the WASM runtime and models load from (see module doc).
+ *
+ * @param {string} [poseModel] - pose model variant, see POSE_MODELS
+ * @returns {{ source: "cdn"|"local"|"custom", base: string|null, wasm: string, models: Object }}
+ *   base is the self-hosted folder, models the URL of the pose, hand and face models
+ */
+export function assetLocation(poseModel = "lite") {
+  const setting = import.meta.env.VITE_MEDIAPIPE_ASSETS?.trim() || "cdn";
+  const files = { pose: POSE_MODELS[poseModel], ...MODELS };
+  if (setting === "cdn") {
+    const models = Object.fromEntries(Object.entries(files).map(([name, m]) => [name, `${MODEL_CDN}/${m.cdnPath}`]));
+    return { source: "cdn", base: null, wasm: WASM_CDN, models };
+  }
+  const source = setting === "local" ? "local" : "custom";
+  const base = (source === "local" ? `${import.meta.env.BASE_URL}mediapipe` : setting).replace(/\/+$/, "");
+  const models = Object.fromEntries(Object.entries(files).map(([name, m]) => [name, `${base}/models/${m.file}`]));
+  return { source, base, wasm: `${base}/wasm`, models };
+}
+
+// Self-hosted files that can't be fetched, relative to the asset folder
+async function findMissingAssets({ base, wasm, models }) {
+  const urls = [...WASM_FILES.map((file) => `${wasm}/${file}`), ...Object.values(models)];
+  const missing = await Promise.all(urls.map(async (url) => {
+    try {
+      const res = await fetch(url, { method: "HEAD" });
+      // Dev servers and single-page hosts answer unknown paths with index.html
+      const html = res.headers.get("content-type")?.includes("text/html");
+      return res.ok && !html ? null : url;
+    } catch {
+      return url;
+    }
+  }));
+  return missing.filter(Boolean).map((url) => url.slice(base.length + 1));
+}
+
+async function createLandmarkers(config) {
+  const assets = assetLocation(config.poseModel);
+  if (assets.base !== null) {
+    const missing = await findMissingAssets(assets);
+    if (missing.length > 0) {
+      const fix = assets.source === "local"
+        ? 'Run "npm run mediapipe:assets" and rebuild the app'
+        : 'Run "npm run mediapipe:assets" and copy public/mediapipe/ there';
+      throw new Error(`MediaPipe files missing from ${assets.base}/: ${missing.join(", ")}. ${fix}, or unset VITE_MEDIAPIPE_ASSETS to load them from the internet.`);
+    }
+  }
+  try {
+    return await createFromAssets(assets, config.delegate);
+  } catch (e) {
+    if (assets.source !== "cdn") throw e;
+    throw new Error(`Couldn't load the MediaPipe models from the internet (${e?.message || e}). To run offline, build with VITE_MEDIAPIPE_ASSETS=local.`, { cause: e });
+  }
+}
+
+async function createFromAssets(assets, requestedDelegate) {
+  const vision = await FilesetResolver.forVisionTasks(assets.wasm);
+  const delegates = {};
+  let delegate = requestedDelegate;
+
+  // Create on the current delegate. When the GPU can't start (it fails on
+  // some low-end devices), fall back to the CPU for this landmarker and the
+  // ones after it.
+  const create = async (name, Landmarker, options) => {
+    if (delegate === "GPU") {
+      try {
+        const landmarker = await Landmarker.createFromOptions(vision, {
+          ...options,
+          baseOptions: { modelAssetPath: assets.models[name], delegate: "GPU" },
+        });
+        delegates[name] = "GPU";
+        return landmarker;
+      } catch (e) {
+        console.warn(`MediaPipe ${name} landmarker failed on the GPU, falling back to the CPU:`, e);
+        delegate = "CPU";
+      }
+    }
+    const landmarker = await Landmarker.createFromOptions(vision, {
+      ...options,
+      baseOptions: { modelAssetPath: assets.models[name], delegate: "CPU" },
+    });
+    delegates[name] = "CPU";
+    return landmarker;
+  };
+
+  // Pose landmarker - 33 body landmarks
+  const pose = await create("pose", PoseLandmarker, {
     runningMode: "VIDEO",
     numPoses: 1,
   });
 
-  onProgress?.("Loading hand model...");
-  handLandmarker = await HandLandmarker.createFromOptions(vision, {
-    baseOptions: {
-      modelAssetPath: `${MODEL_CDN}/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task`,
-      delegate: "GPU",
-    },
+  // Hand landmarker - 21 landmarks per hand
+  const hand = await create("hand", HandLandmarker, {
     runningMode: "VIDEO",
     numHands: 2,
   });
 
-  initialized = true;
-  onProgress?.("Ready");
+  // Face landmarker - 478 face mesh landmarks + blendshapes
+  const face = await create("face", FaceLandmarker, {
+    runningMode: "VIDEO",
+    numFaces: 1,
+    outputFaceBlendshapes: true,
+  });
+
+  return { landmarkers: { pose, hand, face }, delegates };
+}
+
+function closeLandmarkers() {
+  const open = landmarkers;
+  // Callers' detectFrame returns empty frames from here on
+  landmarkers = null;
+  info = null;
+  if (open) {
+    open.pose.close();
+    open.hand.close();
+    open.face.close();
+  }
+}
+
+/**
+ * Load the landmarkers. Safe to call any number of times: everyone shares
+ * one load, and a failed load is retried on the next call. A different
+ * configuration than the loaded one (e.g. after the pose model setting
+ * changed) closes the loaded landmarkers and loads new ones.
+ *
+ * @param {Object} [config] - { poseModel, delegate }, default from settings
+ *   (see detectionConfig)
+ * @returns {Promise<void>}
+ */
+export function loadDetection(config = detectionConfig()) {
+  const key = configKey(config);
+  if (loading && loadingKey === key) return loading;
+
+  // Let a load in progress finish creating before replacing it
+  const created = creating
+    .then(() => {
+      closeLandmarkers();
+      return createLandmarkers(config);
+    });
+  creating = created.catch(() => {});
+  const load = created
+    .then((loaded) => {
+      // A newer configuration was requested meanwhile: it replaces this one
+      if (loading !== load) {
+        Object.values(loaded.landmarkers).forEach((l) => l.close());
+        return loading;
+      }
+      landmarkers = loaded.landmarkers;
+      const fallback = Object.values(loaded.delegates).some((d) => d !== config.delegate);
+      info = { ...config, delegates: loaded.delegates, fallback };
+      console.log(`MediaPipe landmarkers loaded (pose ${config.poseModel}, ${Object.entries(loaded.delegates).map(([n, d]) => `${n} ${d}`).join(", ")})`);
+    })
+    .catch((e) => {
+      if (loading === load) {
+        loading = null;
+        loadingKey = null;
+      }
+      throw e;
+    });
+  loading = load;
+  loadingKey = key;
+  return load;
+}
+
+export function isDetectionReady() {
+  return landmarkers !== null;
+}
+
+/**
+ * What the loaded landmarkers run with, or null while none are loaded:
+ *   { poseModel, delegate, delegates: { pose, hand, face }, fallback }
+ * delegate is the requested one, delegates where each landmarker actually
+ * runs; fallback is true when the GPU failed and some run on the CPU.
+ */
+export function detectionInfo() {
+  return info;
+}
+
+/**
+ * Close the landmarkers and free their memory. The next loadDetection
+ * loads them again.
+ */
+export function closeDetection() {
+  closeLandmarkers();
+  loading = null;
+  loadingKey = null;
+}
+
+// Strictly increasing timestamp (ms) for a caller's clock time
+function nextTimestamp(requested) {
+  const timestamp = Math.max(requested + clockOffset, lastTimestamp + 1);
+  clockOffset = timestamp - requested;
+  lastTimestamp = timestamp;
+  return timestamp;
+}
+
+function emptyFrame() {
+  return {
+    pose: null, poseConf: null,
+    rightHand: null, rightHandConf: null,
+    leftHand: null, leftHandConf: null,
+    hands: [],
+    face: null, faceBlendshapes: null,
+  };
 }
 
 /**
- * Detect pose + hands from a video frame.
- * Returns { pose, leftHand, rightHand } with normalized [x,y] arrays.
+ * Detect pose, hands and face in the current frame of a video.
+ * Returns an empty frame (all null) before loading finishes or while the
+ * video has no frame yet; parts whose detection failed stay null.
  *
  * @param {HTMLVideoElement} video
- * @param {number} timestamp - performance.now() in ms
+ * @param {number} timestamp - ms on the caller's clock (performance.now(), video time)
+ * @param {Object} [options]
+ * @param {boolean} [options.mirrored] - the video is a webcam shown as a
+ *   mirror: MediaPipe's "Left" is then the signer's right hand. Recorded
+ *   videos use the labels as they are.
+ * @returns {Object} frame (see module doc)
  */
-export function detect(video, timestamp) {
-  const result = { pose: null, leftHand: null, rightHand: null };
-  if (!initialized || !video.videoWidth) return result;
-
-  // Pose detection (33 landmarks)
-  const poseResult = poseLandmarker.detectForVideo(video, timestamp);
-  if (poseResult.landmarks?.length > 0) {
-    result.pose = poseResult.landmarks[0].map((p) => [p.x, p.y, p.z]);
-  }
+export function detectFrame(video, timestamp, { mirrored = false } = {}) {
+  const result = emptyFrame();
+  if (!landmarkers || !video || video.readyState < 2) return result;
 
-  // Hand detection (21 landmarks per hand)
-  const handResult = handLandmarker.detectForVideo(video, timestamp);
-  if (handResult.landmarks?.length > 0) {
-    for (let i = 0; i < handResult.landmarks.length; i++) {
-      const hand = handResult.landmarks[i].map((p) => [p.x, p.y, p.z]);
-      const label = handResult.handedness[i]?.[0]?.categoryName;
-      // MediaPipe labels are from camera's perspective, mirror for user
-      if (label === "Right") result.leftHand = hand;
-      else result.rightHand = hand;
+  const ts = nextTimestamp(timestamp);
+  try {
+    // Pose
+    const poseResult = landmarkers.pose.detectForVideo(video, ts);
+    if (poseResult.landmarks && poseResult.landmarks.length > 0) {
+      result.pose = poseResult.landmarks[0].map((lm) => [lm.x, lm.y, lm.z]);
+      result.poseConf = poseResult.landmarks[0].map((lm) => lm.visibility ?? 1);
     }
+
+    // Hands
+    const handResult = landmarkers.hand.detectForVideo(video, ts);
+    if (handResult.landmarks) {
+      for (let i = 0; i < handResult.landmarks.length; i++) {
+        const hand = handResult.landmarks[i].map((lm) => [lm.x, lm.y, lm.z]);
+        const category = handResult.handednesses[i]?.[0];
+        const label = category?.categoryName;
+        const side = (mirrored ? label === "Left" : label === "Right") ? "right" : "left";
+        const score = category?.score ?? null;
+        result.hands.push({ landmarks: hand, side, score });
+        result[`${side}Hand`] = hand;
+        result[`${side}HandConf`] = score;
+      }
+    }
+
+    // Face mesh (478 landmarks) and blendshapes
+    const faceResult = landmarkers.face.detectForVideo(video, ts);
+    if (faceResult.faceLandmarks && faceResult.faceLandmarks.length > 0) {
+      result.face = faceResult.faceLandmarks[0].map((lm) => [lm.x, lm.y]);
+    }
+    if (faceResult.faceBlendshapes && faceResult.faceBlendshapes.length > 0) {
+      result.faceBlendshapes = faceResult.faceBlendshapes[0].categories.map((c) => c.score);
+    }
+  } catch {
+    // Detection can fail on some frames, just skip
   }
 
   return result;
 }
-
-export function isReady() {
-  return initialized;
-}
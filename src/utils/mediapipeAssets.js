@@ -0,0 +1,54 @@
+/**
+ * MediaPipe files the detection service loads: the WASM runtime and the
+ * landmarker models. Shared by mediapipe.js and the
+ * scripts/fetch-mediapipe-assets.js download script, so both agree on the
+ * file names.
+ *
+ * A self-hosted copy (see VITE_MEDIAPIPE_ASSETS in mediapipe.js) has this layout:
+ *   wasm/    - the files in WASM_FILES, from @mediapipe/tasks-vision/wasm
+ *   models/  - the `file` of each model in POSE_MODELS and MODELS
+ */
+
+// Must match @mediapipe/tasks-vision in package.json, which is pinned to this
+// exact version: the JS runtime and the WASM files only work in matching versions
+export const MEDIAPIPE_VERSION = "0.10.32";
+
+export const WASM_CDN = `https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@${MEDIAPIPE_VERSION}/wasm`;
+export const MODEL_CDN = "https://storage.googleapis.com/mediapipe-models";
+
+// The runtime picks the SIMD build where the browser supports it
+export const WASM_FILES = [
+  "vision_wasm_internal.js",
+  "vision_wasm_internal.wasm",
+  "vision_wasm_nosimd_internal.js",
+  "vision_wasm_nosimd_internal.wasm",
+];
+
+// Pose model variants, from fastest to most accurate (selectable in settings).
+// File name when self-hosted, path under MODEL_CDN.
+export const POSE_MODELS = {
+  lite: {
+    file: "pose_landmarker_lite.task",
+    cdnPath: "pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
+  },
+  full: {
+    file: "pose_landmarker_full.task",
+    cdnPath: "pose_landmarker/pose_landmarker_full/float16/1/pose_landmarker_full.task",
+  },
+  heavy: {
+    file: "pose_landmarker_heavy.task",
+    cdnPath: "pose_landmarker/pose_landmarker_heavy/float16/1/pose_landmarker_heavy.task",
+  },
+};
+
+// The other landmarker models
+export const MODELS = {
+  hand: {
+    file: "hand_landmarker.task",
+    cdnPath: "hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
+  },
+  face: {
+    file: "face_landmarker.task",
+    cdnPath: "face_landmarker/face_landmarker/float16/1/face_landmarker.task",
+  },
+};
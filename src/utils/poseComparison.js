@@ -13,24 +13,39 @@
  *   - Skeleton-based Action Recognition
  *   - Procrustes-style geometric normalization
  *
- * Feature vector per frame (60 dimensions):
+ * Feature vector per frame, built from the feature registry (see
+ * registerFeature); the built-in features take 102 dimensions:
  *   - 4 arm segment angles
  *   - 8 normalized upper body positions (x,y) = 16 values
  *   - 4 arm segment velocities (frame-to-frame angle change)
  *   - 15 finger joint angles per hand (when available)
  *   - 6 face features: eyebrow height, eye openness, mouth open/width
+ *   - 4 arm segment depth angles (3D mode only)
+ *   - 12 hand location features: per hand, centroid and index fingertip
+ *     relative to the face, and centroid relative to the chest
+ *   - 10 palm orientation features: per hand, palm normal (3) and
+ *     hand roll as cos/sin (2)
+ *   - 10 facial expression features from MediaPipe blendshapes (brows,
+ *     eyes, cheeks, mouth), only when the word grades facial expression
+ *   - 6 head pose features: yaw, pitch, roll (relative to the recording's
+ *     average head pose) and their velocities
+ *
+ * 3D mode: when both live and reference frames carry MediaPipe z values,
+ * finger angles are measured in 3D and arm segments get a depth angle,
+ * so signs moving toward/away from the body can be told apart.
+ * 2D-only data (older references) keeps the original 2D features.
+ *
+ * How strict scoring is (component weights, the distance → score curve,
+ * score caps and star thresholds) comes from a scoring profile, see
+ * scoringProfiles.js; "standard" is used unless `options.profile` says otherwise.
  */
 
+import { resolveProfile } from "./scoringProfiles";
+
 // ===========================================================
 // Constants
 // ===========================================================
 
-// Fixed feature vector length:
-//   4 arm angles + 16 positions + 4 velocity
-//   + 15 right fingers + 15 left fingers
-//   + 6 face features = 60
-const FIXED_VECTOR_LENGTH = 60;
-
 // Face mesh landmark indices for feature extraction
 // Used to compute eyebrow height, eye openness, mouth openness/width
 const FACE_INDICES = {
@@ -41,8 +56,75 @@ const FACE_INDICES = {
   upperLip: 13, lowerLip: 14,
   mouthLeft: 61, mouthRight: 291,
   chin: 152, forehead: 10,
+  noseTip: 1,
+  leftFaceEdge: 234, rightFaceEdge: 454,
 };
 
+// Pose landmarks for head pose without a face mesh: [nose, leftEye, rightEye]
+// in the live 33-point and compact 17-point formats
+const HEAD_POSE_FULL = [0, 2, 5];
+const HEAD_POSE_COMPACT = [0, 1, 2];
+
+// Head angles (radians) and their per-frame change are scaled so a nod or
+// shake weighs about as much as a change of handshape
+const HEAD_ANGLE_SCALE = 2;
+const HEAD_VELOCITY_SCALE = 4;
+
+// MediaPipe face blendshape indices (category order of FaceLandmarker;
+// frames store `faceBlendshapes` as scores in this order)
+const BLENDSHAPE = {
+  browDownLeft: 1, browDownRight: 2, browInnerUp: 3, browOuterUpLeft: 4, browOuterUpRight: 5,
+  cheekPuff: 6, eyeSquintLeft: 19, eyeSquintRight: 20, eyeWideLeft: 21, eyeWideRight: 22,
+  jawOpen: 25, mouthFrownLeft: 30, mouthFrownRight: 31, mouthFunnel: 32, mouthPucker: 38,
+  mouthSmileLeft: 44, mouthSmileRight: 45,
+};
+
+// Facial expression features: name → blendshapes averaged into it.
+// Order is the order in the feature vector.
+const EXPRESSION_FEATURES = [
+  ["browRaise", ["browInnerUp", "browOuterUpLeft", "browOuterUpRight"]],
+  ["browFurrow", ["browDownLeft", "browDownRight"]],
+  ["eyeWide", ["eyeWideLeft", "eyeWideRight"]],
+  ["eyeSquint", ["eyeSquintLeft", "eyeSquintRight"]],
+  ["cheekPuff", ["cheekPuff"]],
+  ["jawOpen", ["jawOpen"]],
+  ["mouthPucker", ["mouthPucker"]],
+  ["mouthFunnel", ["mouthFunnel"]],
+  ["mouthSmile", ["mouthSmileLeft", "mouthSmileRight"]],
+  ["mouthFrown", ["mouthFrownLeft", "mouthFrownRight"]],
+];
+
+// Blendshape scores are 0-1; scaled so a missed brow raise alone makes
+// the expression component clearly wrong
+const EXPRESSION_SCALE = 4;
+
+// Pose nose index (same in live 33-point and compact 17-point formats)
+const POSE_NOSE = 0;
+
+// Without a face mesh, face height is estimated from body scale
+const FACE_HEIGHT_RATIO = 0.45;
+
+// Chest point: this far from the shoulder centre towards the hip centre
+const CHEST_OFFSET = 0.3;
+
+// Hand landmarks used for location and orientation features
+const HAND_WRIST = 0;
+const HAND_INDEX_MCP = 5;
+const HAND_MIDDLE_MCP = 9;
+const HAND_PINKY_MCP = 17;
+const HAND_INDEX_TIP = 8;
+
+// Named sign locations for feedback. Face anchors are in face-height
+// units relative to the nose tip; the chest anchor is in body units
+// relative to the chest point. A hand within `radius` of an anchor is
+// "at" that location, otherwise it is in neutral signing space.
+const SIGN_LOCATIONS = [
+  { name: "forehead", frame: "face",  at: [0, -0.55], radius: 0.35 },
+  { name: "nose",     frame: "face",  at: [0, 0],     radius: 0.25 },
+  { name: "chin",     frame: "face",  at: [0, 0.5],   radius: 0.3 },
+  { name: "chest",    frame: "torso", at: [0, 0],     radius: 0.45 },
+];
+
 // Hand finger joint angles: 3 angles per finger × 5 fingers = 15
 // Each entry: [joint_a, joint_b, joint_c] → angle at joint_b
 const FINGER_ANGLE_TRIPLETS = [
@@ -79,6 +161,8 @@ const ARM_SEGMENTS = [
 /**
  * Normalize body joints: translate to shoulder center, scale by body size.
  * Subset indices: shoulders=[0,1], hips=[6,7]
+ * A z value, when present, is shifted by the shoulder-center depth and
+ * scaled the same way (MediaPipe z is roughly in x units).
  */
 function normalizeSubset(points) {
   if (!points || points.length < 8) return null;
@@ -94,7 +178,11 @@ function normalizeSubset(points) {
 
   if (scale < 0.01) return null;
 
-  return points.map(([x, y]) => [(x - cx) / scale, (y - cy) / scale]);
+  if (points[0].length < 3) {
+    return points.map(([x, y]) => [(x - cx) / scale, (y - cy) / scale]);
+  }
+  const cz = (points[0][2] + points[1][2]) / 2;
+  return points.map(([x, y, z]) => [(x - cx) / scale, (y - cy) / scale, (z - cz) / scale]);
 }
 
 // ===========================================================
@@ -103,13 +191,14 @@ function normalizeSubset(points) {
 
 /**
  * Compute angle at point B in triangle A-B-C (in radians, 0 to π).
+ * With `depth`, the z coordinates are included (3D angle).
  */
-function angleBetween(a, b, c) {
-  const ba = [a[0] - b[0], a[1] - b[1]];
-  const bc = [c[0] - b[0], c[1] - b[1]];
-  const dot = ba[0] * bc[0] + ba[1] * bc[1];
-  const magBA = Math.hypot(ba[0], ba[1]);
-  const magBC = Math.hypot(bc[0], bc[1]);
+function angleBetween(a, b, c, depth = false) {
+  const ba = [a[0] - b[0], a[1] - b[1], depth ? a[2] - b[2] : 0];
+  const bc = [c[0] - b[0], c[1] - b[1], depth ? c[2] - b[2] : 0];
+  const dot = ba[0] * bc[0] + ba[1] * bc[1] + ba[2] * bc[2];
+  const magBA = Math.hypot(ba[0], ba[1], ba[2]);
+  const magBC = Math.hypot(bc[0], bc[1], bc[2]);
   if (magBA < 1e-6 || magBC < 1e-6) return Math.PI;
   return Math.acos(Math.max(-1, Math.min(1, dot / (magBA * magBC))));
 }
@@ -121,13 +210,25 @@ function segAngle(points, a, b) {
   return Math.atan2(points[b][1] - points[a][1], points[b][0] - points[a][0]);
 }
 
+/**
+ * Segment depth angle: how far the segment points toward (negative) or
+ * away from (positive) the camera, in radians.
+ */
+function segDepthAngle(points, a, b) {
+  const dx = points[b][0] - points[a][0];
+  const dy = points[b][1] - points[a][1];
+  return Math.atan2(points[b][2] - points[a][2], Math.hypot(dx, dy));
+}
+
 /**
  * Extract 15 finger joint angles from a 21-point hand.
+ * With `depth`, angles are measured in 3D.
  * Returns array of 15 angles (radians), or null.
  */
-function extractFingerAngles(hand) {
+function extractFingerAngles(hand, depth = false) {
   if (!hand || hand.length < 21) return null;
-  return FINGER_ANGLE_TRIPLETS.map(([a, b, c]) => angleBetween(hand[a], hand[b], hand[c]));
+  if (depth && hand[0].length < 3) return null;
+  return FINGER_ANGLE_TRIPLETS.map(([a, b, c]) => angleBetween(hand[a], hand[b], hand[c], depth));
 }
 
 /**
@@ -154,92 +255,437 @@ function extractFaceFeatures(face) {
 }
 
 /**
- * Build feature vector for a single frame.
+ * Extract 10 facial expression features from MediaPipe face blendshapes
+ * (see EXPRESSION_FEATURES). Returns null if blendshapes are unavailable.
+ */
+function extractExpression(blendshapes) {
+  if (!blendshapes || blendshapes.length <= BLENDSHAPE.mouthSmileRight) return null;
+  return EXPRESSION_FEATURES.map(([, names]) =>
+    EXPRESSION_SCALE * names.reduce((sum, n) => sum + blendshapes[BLENDSHAPE[n]], 0) / names.length);
+}
+
+/**
+ * Head yaw, pitch and roll (radians) in image space, or null.
+ * From the face mesh when present: roll from the eye line, yaw from where
+ * the nose tip sits between the face edges, pitch from where it sits
+ * between the eyes and chin. Otherwise a rougher estimate from the pose
+ * nose and eyes.
  *
- * @param {Object} frame - { pose (normalized subset), rightHand, leftHand, face }
- * @param {Object|null} prevFrame - previous frame for velocity
- * @returns {Object} { armAngles, positions, velocity, rightFingers, leftFingers, faceFeatures, vector }
+ * Yaw and roll flip sign with the image, so mirrored frames mirror the
+ * head movement too. Absolute values depend on camera placement; the
+ * features use them relative to the recording's average (see centerHeadPose).
+ */
+function extractHeadPose(face, pose) {
+  const F = FACE_INDICES;
+  if (face && face.length >= 468) {
+    const eyeL = face[F.leftEyeCenter], eyeR = face[F.rightEyeCenter];
+    const nose = face[F.noseTip], chin = face[F.chin];
+    const halfW = Math.abs(face[F.rightFaceEdge][0] - face[F.leftFaceEdge][0]) / 2;
+    const eyeMidY = (eyeL[1] + eyeR[1]) / 2;
+    if (halfW > 1e-4 && Math.abs(eyeR[0] - eyeL[0]) > 1e-4 && chin[1] - eyeMidY > 1e-4) {
+      const midX = (face[F.leftFaceEdge][0] + face[F.rightFaceEdge][0]) / 2;
+      const yaw = Math.asin(Math.max(-1, Math.min(1, (nose[0] - midX) / halfW)));
+      const pitch = Math.atan2(nose[1] - eyeMidY, chin[1] - eyeMidY);
+      const roll = Math.atan((eyeR[1] - eyeL[1]) / (eyeR[0] - eyeL[0]));
+      return [yaw, pitch, roll];
+    }
+  }
+
+  if (!pose) return null;
+  const [n, l, r] = pose.length >= 25 ? HEAD_POSE_FULL : HEAD_POSE_COMPACT;
+  if (!pose[n] || !pose[l] || !pose[r]) return null;
+  const eyeW = Math.abs(pose[r][0] - pose[l][0]);
+  if (eyeW < 1e-4) return null;
+  const yaw = Math.atan((pose[n][0] - (pose[l][0] + pose[r][0]) / 2) / eyeW);
+  const pitch = Math.atan((pose[n][1] - (pose[l][1] + pose[r][1]) / 2) / eyeW);
+  const roll = Math.atan((pose[r][1] - pose[l][1]) / (pose[r][0] - pose[l][0]));
+  return [yaw, pitch, roll];
+}
+
+/**
+ * Head pose of a detection result in degrees, for display.
+ * @returns {{ yaw: number, pitch: number, roll: number }|null}
  */
-function extractFeatures(normSubset, rightHand, leftHand, prevArmAngles, face) {
-  // 1. Arm segment angles (4 values)
-  const armAngles = ARM_SEGMENTS.map(([a, b]) => segAngle(normSubset, a, b));
+export function estimateHeadPose(face, pose) {
+  const angles = extractHeadPose(face, pose);
+  if (!angles) return null;
+  const [yaw, pitch, roll] = angles.map((a) => (a * 180) / Math.PI);
+  return { yaw, pitch, roll };
+}
+
+/**
+ * Reference points for hand location, in image coordinates.
+ * Face: nose tip + face height from the mesh when present, otherwise the
+ * pose nose + an estimate from body size. Torso: chest point + body scale.
+ * `subset` is the raw (un-normalised) 8-joint upper body subset.
+ */
+function locationAnchors(subset, pose, face) {
+  const cx = (subset[0][0] + subset[1][0]) / 2;
+  const cy = (subset[0][1] + subset[1][1]) / 2;
+  const hipCx = (subset[6][0] + subset[7][0]) / 2;
+  const hipCy = (subset[6][1] + subset[7][1]) / 2;
+  const shoulderW = Math.hypot(subset[0][0] - subset[1][0], subset[0][1] - subset[1][1]);
+  const bodyScale = (shoulderW + Math.hypot(cx - hipCx, cy - hipCy)) / 2;
+  const chest = [cx + CHEST_OFFSET * (hipCx - cx), cy + CHEST_OFFSET * (hipCy - cy)];
+
+  const F = FACE_INDICES;
+  if (face && face.length >= 468) {
+    const faceH = Math.abs(face[F.chin][1] - face[F.forehead][1]);
+    if (faceH > 0.001) {
+      return { nose: face[F.noseTip], faceUnit: faceH, chest, bodyScale };
+    }
+  }
+  return { nose: pose[POSE_NOSE], faceUnit: FACE_HEIGHT_RATIO * bodyScale, chest, bodyScale };
+}
+
+/**
+ * Hand location features (6 values): centroid and index fingertip relative
+ * to the nose in face-height units, and centroid relative to the chest in
+ * body units. Returns null if the hand is missing.
+ */
+function extractHandLocation(hand, anchors) {
+  if (!hand || hand.length < 21 || !anchors) return null;
+  let hx = 0, hy = 0;
+  for (const p of hand) { hx += p[0]; hy += p[1]; }
+  hx /= hand.length;
+  hy /= hand.length;
+  const { nose, faceUnit, chest, bodyScale } = anchors;
+  const tip = hand[HAND_INDEX_TIP];
+  return [
+    (hx - nose[0]) / faceUnit, (hy - nose[1]) / faceUnit,
+    (tip[0] - nose[0]) / faceUnit, (tip[1] - nose[1]) / faceUnit,
+    (hx - chest[0]) / bodyScale, (hy - chest[1]) / bodyScale,
+  ];
+}
+
+/**
+ * Palm orientation features (5 values) from the 21 hand landmarks:
+ *   - palm normal (wrist→index MCP × wrist→pinky MCP), scaled by the two
+ *     vector lengths and flipped for the left hand so it always points
+ *     out of the palm. In 2D mode only its z part is non-zero, which still
+ *     tells a palm facing the camera from one facing the signer.
+ *   - hand roll: direction of wrist→middle MCP in the image, as cos/sin.
+ * Returns null if the hand is missing.
+ */
+function extractPalmOrientation(hand, isLeft, depth = false) {
+  if (!hand || hand.length < 21) return null;
+  if (depth && hand[0].length < 3) return null;
+  const w = hand[HAND_WRIST];
+  const a = [hand[HAND_INDEX_MCP][0] - w[0], hand[HAND_INDEX_MCP][1] - w[1],
+             depth ? hand[HAND_INDEX_MCP][2] - w[2] : 0];
+  const b = [hand[HAND_PINKY_MCP][0] - w[0], hand[HAND_PINKY_MCP][1] - w[1],
+             depth ? hand[HAND_PINKY_MCP][2] - w[2] : 0];
+  const mag = Math.hypot(...a) * Math.hypot(...b);
+  if (mag < 1e-9) return null;
+  const sign = isLeft ? -1 : 1;
+  const normal = [
+    sign * (a[1] * b[2] - a[2] * b[1]) / mag,
+    sign * (a[2] * b[0] - a[0] * b[2]) / mag,
+    sign * (a[0] * b[1] - a[1] * b[0]) / mag,
+  ];
+
+  const roll = Math.atan2(hand[HAND_MIDDLE_MCP][1] - w[1], hand[HAND_MIDDLE_MCP][0] - w[0]);
+  return [...normal, Math.cos(roll), Math.sin(roll)];
+}
+
+/**
+ * Arm segment velocities: angle change from the previous frame, wrapped
+ * to [-π, π]. Zero on the first frame.
+ */
+function armVelocity(armAngles, prevArmAngles) {
+  if (!prevArmAngles) return armAngles.map(() => 0);
+  return armAngles.map((ang, i) => {
+    let diff = ang - prevArmAngles[i];
+    while (diff > Math.PI) diff -= 2 * Math.PI;
+    while (diff < -Math.PI) diff += 2 * Math.PI;
+    return diff;
+  });
+}
+
+/**
+ * Right- and left-hand values side by side, zero-filling a missing hand;
+ * null if both are missing.
+ */
+function handPair(right, left, dims) {
+  if (!right && !left) return null;
+  const zeros = new Array(dims).fill(0);
+  return [...(right || zeros), ...(left || zeros)];
+}
 
-  // 2. Flattened normalized positions (16 values)
-  const positions = normSubset.flatMap(([x, y]) => [x, y]);
+// ===========================================================
+// Feature registry
+// ===========================================================
 
-  // 3. Velocity: angle change from previous frame (4 values)
-  const velocity = prevArmAngles
-    ? armAngles.map((ang, i) => {
-        let diff = ang - prevArmAngles[i];
-        while (diff > Math.PI) diff -= 2 * Math.PI;
-        while (diff < -Math.PI) diff += 2 * Math.PI;
-        return diff;
-      })
-    : [0, 0, 0, 0];
+// Body parts reported in the per-part score breakdown
+export const BODY_PARTS = ["arms", "rightHand", "leftHand", "location", "palm", "movement", "head", "face",
+                           "expression"];
 
-  // 4. Finger angles (15 per hand)
-  const rightFingers = extractFingerAngles(rightHand);
-  const leftFingers = extractFingerAngles(leftHand);
+// Registered feature extractors, in feature vector order (see registerFeature)
+const FEATURES = [];
+const FEATURES_BY_NAME = {};
 
-  // 5. Face features (6 values)
-  const faceFeatures = extractFaceFeatures(face);
+/**
+ * Add a feature extractor to the per-frame feature vector. The vector
+ * layout, component distances, confidences and motion are all derived
+ * from the registry, so a new cue doesn't touch existing ones:
+ *
+ *   registerFeature({
+ *     name: "shoulderShrug", part: "arms", dims: 2, weight: 1,
+ *     extract: ({ subset }) => [subset[0][1], subset[1][1]],
+ *   });
+ *
+ * @param {Object} feature
+ * @param {string} feature.name - unique; also the key for profile weights
+ *   (see scoringProfiles.js) and score traces
+ * @param {string} feature.part - body part in the score breakdown (BODY_PARTS)
+ * @param {number} feature.dims - number of values it adds to the vector
+ * @param {number} feature.weight - default weight in the feature distance
+ * @param {Function} feature.extract - (ctx) → `dims` numbers, or null when
+ *   the frame has no data for it (its slots are then zero-filled). ctx:
+ *   { subset, rightHand, leftHand, face, blendshapes, headPose, anchors,
+ *   depth, prev, values } (see extractFeatures); `values` holds the
+ *   features registered before this one
+ * @param {Function} [feature.hasData] - (a, b) → whether two frames' values
+ *   can be compared; default: either has a non-zero value
+ * @param {Function} [feature.confidence] - ({ arms, body, rightHand, leftHand,
+ *   hands }) → 0-1 weight from MediaPipe confidences (see componentConfidence);
+ *   default 1
+ * @param {boolean} [feature.motion] - values are per-frame movement,
+ *   summed by computeMotion
+ */
+export function registerFeature(feature) {
+  const { name, part, dims, weight, extract } = feature;
+  if (FEATURES_BY_NAME[name]) throw new Error(`Feature "${name}" is already registered`);
+  if (!BODY_PARTS.includes(part)) throw new Error(`Feature "${name}": unknown body part "${part}"`);
+  if (!Number.isInteger(dims) || dims < 1) throw new Error(`Feature "${name}": dims must be a positive integer`);
+  if (!(weight >= 0)) throw new Error(`Feature "${name}": weight must be a number >= 0`);
+  if (typeof extract !== "function") throw new Error(`Feature "${name}": extract must be a function`);
+
+  const start = FEATURES.length > 0 ? FEATURES[FEATURES.length - 1].end : 0;
+  const entry = { motion: false, ...feature, start, end: start + dims };
+  FEATURES.push(entry);
+  FEATURES_BY_NAME[name] = entry;
+}
 
-  // Combined feature vector (FIXED_VECTOR_LENGTH = 60 dimensions)
-  // Layout: [4 arm angles, 16 positions, 4 velocity, 15 right fingers, 15 left fingers, 6 face]
-  const vector = [...armAngles, ...positions, ...velocity];
-  // Pad right finger slots (indices 24-38): use actual angles or zeros
-  if (rightFingers) vector.push(...rightFingers);
-  else for (let i = 0; i < 15; i++) vector.push(0);
-  // Pad left finger slots (indices 39-53): use actual angles or zeros
-  if (leftFingers) vector.push(...leftFingers);
-  else for (let i = 0; i < 15; i++) vector.push(0);
-  // Pad face feature slots (indices 54-59): use actual features or zeros
-  if (faceFeatures) vector.push(...faceFeatures);
-  else for (let i = 0; i < 6; i++) vector.push(0);
+/**
+ * Names of the registered features, in vector order (the order of
+ * weights, confidences and score traces).
+ */
+export function featureNames() {
+  return FEATURES.map((f) => f.name);
+}
 
-  return { armAngles, positions, velocity, rightFingers, leftFingers, faceFeatures, vector };
+// First vector slot of a registered feature
+function featureStart(name) {
+  return FEATURES_BY_NAME[name].start;
+}
+
+// Built-in features. Extractors may read the values of earlier ones,
+// so the order matters (velocity follows armAngles).
+registerFeature({
+  name: "armAngles", part: "arms", dims: 4, weight: 2.5,
+  extract: ({ subset }) => ARM_SEGMENTS.map(([a, b]) => segAngle(subset, a, b)),
+  confidence: (c) => c.arms,
+});
+registerFeature({
+  name: "positions", part: "arms", dims: 16, weight: 2.0,
+  extract: ({ subset }) => subset.flatMap(([x, y]) => [x, y]),
+  confidence: (c) => c.body,
+});
+registerFeature({
+  name: "velocity", part: "movement", dims: 4, weight: 2.0, motion: true,
+  extract: ({ values, prev }) => armVelocity(values.armAngles, prev?.values.armAngles),
+  confidence: (c) => c.arms,
+});
+registerFeature({
+  name: "rightFingers", part: "rightHand", dims: 15, weight: 2.5,
+  extract: ({ rightHand, depth }) => extractFingerAngles(rightHand, depth),
+  confidence: (c) => c.rightHand,
+});
+registerFeature({
+  name: "leftFingers", part: "leftHand", dims: 15, weight: 2.5,
+  extract: ({ leftHand, depth }) => extractFingerAngles(leftHand, depth),
+  confidence: (c) => c.leftHand,
+});
+registerFeature({
+  name: "face", part: "face", dims: 6, weight: 1.0,
+  extract: ({ face }) => extractFaceFeatures(face),
+});
+registerFeature({
+  name: "armDepth", part: "arms", dims: 4, weight: 1.5,
+  extract: ({ subset, depth }) => (depth ? ARM_SEGMENTS.map(([a, b]) => segDepthAngle(subset, a, b)) : null),
+  confidence: (c) => c.arms,
+});
+// Per hand: [face x, y, tip x, y, torso x, y], right then left
+registerFeature({
+  name: "location", part: "location", dims: 12, weight: 2.0,
+  extract: ({ rightHand, leftHand, anchors }) =>
+    handPair(extractHandLocation(rightHand, anchors), extractHandLocation(leftHand, anchors), 6),
+  confidence: (c) => c.hands,
+});
+// Per hand: [normal x, y, z, roll cos, roll sin], right then left
+registerFeature({
+  name: "palm", part: "palm", dims: 10, weight: 1.5,
+  extract: ({ rightHand, leftHand, depth }) =>
+    handPair(extractPalmOrientation(rightHand, false, depth), extractPalmOrientation(leftHand, true, depth), 5),
+  confidence: (c) => c.hands,
+});
+registerFeature({
+  name: "expression", part: "expression", dims: 10, weight: 2.5,
+  extract: ({ blendshapes }) => extractExpression(blendshapes),
+});
+// [yaw, pitch, roll, yaw velocity, pitch velocity, roll velocity]
+registerFeature({
+  name: "head", part: "head", dims: 6, weight: 1.5,
+  extract: ({ headPose, prev }) => (headPose
+    ? [
+        ...headPose.map((a) => HEAD_ANGLE_SCALE * a),
+        ...headPose.map((a, i) => (prev?.headPose ? HEAD_VELOCITY_SCALE * (a - prev.headPose[i]) : 0)),
+      ]
+    : null),
+});
+
+/**
+ * Build the feature vector for a single frame from the registered
+ * features, in registry order. A feature without data is zero-filled.
+ *
+ * @param {Object} ctx
+ * @param {Array} ctx.subset - normalized upper body subset (see normalizeSubset)
+ * @param {Array|null} ctx.rightHand, ctx.leftHand - 21-point hands
+ * @param {Array|null} ctx.face - face mesh
+ * @param {Array|null} ctx.blendshapes - face blendshape scores, when expression is graded
+ * @param {Array|null} ctx.headPose - [yaw, pitch, roll] (see extractHeadPose)
+ * @param {Object|null} ctx.anchors - face/torso reference points (see locationAnchors)
+ * @param {boolean} ctx.depth - 3D mode (subset and hands carry z)
+ * @param {Object|null} ctx.prev - previous frame's features, for velocities
+ * @returns {{ values: Object, headPose, vector: number[] }} values by feature name (null = no data)
+ */
+function extractFeatures(ctx) {
+  const values = {};
+  const vector = [];
+  const frameCtx = { ...ctx, values };
+  for (const feature of FEATURES) {
+    const v = feature.extract(frameCtx);
+    if (v && v.length !== feature.dims) {
+      throw new Error(`Feature "${feature.name}" returned ${v.length} values, expected ${feature.dims}`);
+    }
+    values[feature.name] = v || null;
+    if (v) vector.push(...v);
+    else for (let i = 0; i < feature.dims; i++) vector.push(0);
+  }
+  return { values, headPose: ctx.headPose, vector };
 }
 
 // ===========================================================
 // Similarity metrics
 // ===========================================================
 
-// Feature vector component layout and importance weights.
-// Only components with actual data contribute to distance,
-// preventing zero-padded dimensions from inflating scores.
-const COMPONENTS = [
-  { start: 0,  end: 4,  weight: 2.5 }, // arm angles
-  { start: 4,  end: 20, weight: 2.0 }, // positions
-  { start: 20, end: 24, weight: 2.0 }, // velocity
-  { start: 24, end: 39, weight: 2.5 }, // right hand fingers
-  { start: 39, end: 54, weight: 2.5 }, // left hand fingers
-  { start: 54, end: 60, weight: 1.0 }, // face features
-];
+// Parameters of the default scoring profile, and the feature weights of a
+// profile (only features with actual data contribute to a distance, so
+// zero-padded slots don't inflate scores)
+const STANDARD = resolveProfile();
+
+function profileWeights(profile) {
+  return FEATURES.map((f) => profile.weights?.[f.name] ?? f.weight);
+}
+
+// Hand location and palm orientation offsets of each hand inside their features
+const HAND_LOCATION = { right: 0, left: 6 };
+const PALM_ORIENTATION = { right: 0, left: 5 };
+
+// Landmark confidence → weight: below LOW a value is ignored, above HIGH
+// it counts fully. Pose uses MediaPipe visibility (the only per-landmark
+// confidence tasks-vision exposes), hands use the handedness score.
+const POSE_CONF = { low: 0.3, high: 0.8 };
+const HAND_CONF = { low: 0.5, high: 0.9 };
+
+// Subset joints each pose-based confidence depends on
+// subset: [lShoulder, rShoulder, lElbow, rElbow, lWrist, rWrist, lHip, rHip]
+const ARM_JOINTS = [0, 1, 2, 3, 4, 5];
+const BODY_JOINTS = [0, 1, 2, 3, 4, 5, 6, 7];
+
+function confidenceWeight(value, { low, high }) {
+  if (value == null) return 1;
+  return Math.max(0, Math.min(1, (value - low) / (high - low)));
+}
+
+/**
+ * Per-feature confidence weights for one frame, in registry order.
+ * Frames recorded before confidences were captured count fully.
+ */
+function componentConfidence(frame, upperIndices) {
+  const vis = frame.poseConf
+    ? upperIndices.map(i => confidenceWeight(frame.poseConf[i], POSE_CONF))
+    : null;
+  const mean = (joints) => (vis ? joints.reduce((sum, k) => sum + vis[k], 0) / joints.length : 1);
+  const rightHand = confidenceWeight(frame.rightHandConf, HAND_CONF);
+  const leftHand = confidenceWeight(frame.leftHandConf, HAND_CONF);
+  const conf = {
+    arms: mean(ARM_JOINTS),
+    body: mean(BODY_JOINTS),
+    rightHand,
+    leftHand,
+    hands: Math.min(rightHand, leftHand),
+  };
+  return FEATURES.map((f) => (f.confidence ? f.confidence(conf) : 1));
+}
+
+// Wrist (x, y) offsets inside the positions feature
+// subset: rWrist=5 → [10, 11], lWrist=4 → [8, 9]
+const WRIST_POSITION = { right: 10, left: 8 };
+
+/**
+ * RMS distance of one feature, or null if neither side has data (or the
+ * feature's own hasData rule says the two can't be compared).
+ */
+function componentDistance(vecA, vecB, comp) {
+  if (comp.hasData && !comp.hasData(vecA.slice(comp.start, comp.end), vecB.slice(comp.start, comp.end))) {
+    return null;
+  }
+  let sum = 0;
+  let hasData = false;
+  for (let i = comp.start; i < comp.end; i++) {
+    const a = i < vecA.length ? vecA[i] : 0;
+    const b = i < vecB.length ? vecB[i] : 0;
+    if (a !== 0 || b !== 0) hasData = true;
+    const diff = a - b;
+    sum += diff * diff;
+  }
+  return hasData ? Math.sqrt(sum / (comp.end - comp.start)) : null;
+}
+
+/**
+ * Per-component RMS distance between two feature vectors.
+ * Returns one entry per registered feature, or null where neither side has data.
+ */
+function componentDistances(vecA, vecB) {
+  return FEATURES.map((comp) => componentDistance(vecA, vecB, comp));
+}
 
 /**
  * Component-aware weighted distance between two feature vectors.
  * Computes per-component RMS, then weighted average of active components.
  * Components where neither side has data are excluded (no zero-zero inflation).
+ *
+ * confA/confB are per-component confidence weights (0-1, see
+ * componentConfidence); each component's weight is scaled by the lower
+ * of the two, so occluded joints and doubtful hands count for less.
+ * `weights` are the component weights of the scoring profile.
  */
-function featureDistance(vecA, vecB) {
+function featureDistance(vecA, vecB, confA, confB, weights = profileWeights(STANDARD)) {
   let weightedSum = 0;
   let totalWeight = 0;
 
-  for (const comp of COMPONENTS) {
-    let sum = 0;
-    let hasData = false;
-    for (let i = comp.start; i < comp.end; i++) {
-      const a = i < vecA.length ? vecA[i] : 0;
-      const b = i < vecB.length ? vecB[i] : 0;
-      if (a !== 0 || b !== 0) hasData = true;
-      const diff = a - b;
-      sum += diff * diff;
-    }
+  for (let c = 0; c < FEATURES.length; c++) {
+    const comp = FEATURES[c];
+    const conf = Math.min(confA ? confA[c] : 1, confB ? confB[c] : 1);
+    // Skip components that are too uncertain on either side
+    if (conf <= 0) continue;
+    const dist = componentDistance(vecA, vecB, comp);
     // Skip components where neither side has data
-    if (!hasData) continue;
-    const dims = comp.end - comp.start;
-    weightedSum += comp.weight * Math.sqrt(sum / dims);
-    totalWeight += comp.weight;
+    if (dist === null) continue;
+    weightedSum += weights[c] * conf * dist;
+    totalWeight += weights[c] * conf;
   }
 
   if (totalWeight < 0.01) return 0;
@@ -248,7 +694,8 @@ function featureDistance(vecA, vecB) {
 
 /**
  * Convert distance to 0-100 score.
- * Gaussian curve with sigma=0.9 for strict falloff:
+ * Gaussian curve; sigma comes from the scoring profile. With the
+ * standard sigma=0.9 (strict falloff):
  *   distance 0   -> 100 (perfect)
  *   distance 0.3 -> ~95 (excellent)
  *   distance 0.5 -> ~86 (great)
@@ -259,8 +706,7 @@ function featureDistance(vecA, vecB) {
  *   distance 1.5 -> ~24 (poor)
  *   distance 2.0 -> ~8  (very poor)
  */
-function distToScore(dist) {
-  const sigma = 0.9;
+function distToScore(dist, sigma = STANDARD.sigma) {
   const score = 100 * Math.exp(-dist * dist / (2 * sigma * sigma));
   return Math.max(0, Math.min(100, Math.round(score)));
 }
@@ -269,47 +715,169 @@ function distToScore(dist) {
 // DTW (Dynamic Time Warping)
 // ===========================================================
 
+// Subsequence mode: the matched live window must cover at least this
+// fraction of the reference length, so a single still frame can't "match"
+// the whole sign.
+const MIN_WINDOW_RATIO = 0.5;
+
+// Default global constraint for end-to-end alignment.
+// A Sakoe-Chiba band of 30% of the longer sequence leaves normal-length
+// signs effectively unconstrained while keeping phrases near-linear in cost.
+const DTW_DEFAULTS = {
+  window: "sakoe-chiba", // "none" | "sakoe-chiba" | "itakura"
+  band: 0.3,             // Sakoe-Chiba half-width, fraction of the longer sequence
+  abandonAbove: Infinity, // give up once the average path distance must exceed this
+  weights: null,         // feature weights of the scoring profile (null: standard)
+  sigma: STANDARD.sigma, // distance → score curve of the scoring profile
+};
+
+// Itakura parallelogram: max local slope of the warping path
+const ITAKURA_SLOPE = 2;
+
+/**
+ * Column range [lo, hi] of seqB allowed for every row of seqA.
+ * Ranges are widened where needed so neighbouring rows stay connected.
+ */
+function windowBounds(n, m, window, band) {
+  const lo = new Int32Array(n);
+  const hi = new Int32Array(n);
+  const r = Math.max(1, Math.ceil(band * Math.max(n, m)));
+
+  for (let i = 0; i < n; i++) {
+    const x = n > 1 ? i / (n - 1) : 1;
+    if (window === "sakoe-chiba") {
+      const c = x * (m - 1);
+      lo[i] = Math.max(0, Math.floor(c - r));
+      hi[i] = Math.min(m - 1, Math.ceil(c + r));
+    } else if (window === "itakura") {
+      const s = ITAKURA_SLOPE;
+      const yMin = Math.max(x / s, 1 - s * (1 - x));
+      const yMax = Math.min(s * x, 1 - (1 - x) / s);
+      lo[i] = Math.max(0, Math.ceil(yMin * (m - 1) - 1e-9));
+      hi[i] = Math.min(m - 1, Math.floor(yMax * (m - 1) + 1e-9));
+    } else {
+      lo[i] = 0;
+      hi[i] = m - 1;
+    }
+  }
+
+  lo[0] = 0;
+  hi[n - 1] = m - 1;
+  for (let i = 1; i < n; i++) {
+    if (lo[i] > hi[i - 1] + 1) lo[i] = hi[i - 1] + 1;
+    if (hi[i] < lo[i - 1]) hi[i] = lo[i - 1];
+    if (hi[i] < lo[i]) hi[i] = lo[i];
+  }
+  return { lo, hi };
+}
+
 /**
  * Run DTW on two feature sequences.
  *
- * @param {Array} seqA - [featureVec, featureVec, ...]
- * @param {Array} seqB - [featureVec, featureVec, ...]
- * @returns {{ score: number, pathScores: number[], avgDistance: number }}
+ * The cost matrix is stored only inside the global window (Sakoe-Chiba
+ * band or Itakura parallelogram), in flat typed arrays, and
+ * featureDistance is evaluated only for cells inside it.
+ *
+ * With `subsequence`, the alignment is open-begin/open-end on seqA:
+ * seqB (the reference) must be matched completely, but it may match any
+ * window of seqA, so idle lead-in and trailing frames cost nothing.
+ * The window with the lowest average distance per path step wins.
+ * Global windows and early abandoning only apply to end-to-end alignment.
+ *
+ * `abandonAbove` stops as soon as the cheapest cell of a row, spread over
+ * the longest possible path (n + m - 1 steps), already exceeds it, i.e.
+ * the final average distance is guaranteed to be worse.
+ *
+ * @param {Object} seqA - feature sequence { vectors, conf } (see processFrames)
+ * @param {Object} seqB - feature sequence { vectors, conf }
+ * @param {Object} [options] - { subsequence, window, band, abandonAbove, weights, sigma }
+ * @returns {{ score: number, pathScores: number[], avgDistance: number, path: number[][], abandoned?: boolean }}
  */
-function dtw(seqA, seqB) {
-  const n = seqA.length;
-  const m = seqB.length;
-  if (n === 0 || m === 0) return { score: 0, pathScores: [], avgDistance: Infinity };
+function dtw(seqA, seqB, options = {}) {
+  const { subsequence = false, window, band, abandonAbove, sigma } = { ...DTW_DEFAULTS, ...options };
+  const weights = options.weights ?? profileWeights(STANDARD);
+  const n = seqA.vectors.length;
+  const m = seqB.vectors.length;
+  const empty = { score: 0, pathScores: [], avgDistance: Infinity, path: [] };
+  if (n === 0 || m === 0) return empty;
+
+  const { lo, hi } = windowBounds(n, m, subsequence ? "none" : window, band);
+
+  // Row offsets into the flat banded storage
+  const offset = new Int32Array(n + 1);
+  for (let i = 0; i < n; i++) offset[i + 1] = offset[i] + (hi[i] - lo[i] + 1);
+  const cells = offset[n];
+
+  // Local distance, cumulative cost, path length and window start per cell
+  // (length and start are only needed to pick the best subsequence end)
+  const dist = new Float32Array(cells);
+  const cost = new Float64Array(cells);
+  const len = new Uint32Array(cells);
+  const from = new Uint32Array(cells);
+  const at = (i, j) => (i >= 0 && j >= lo[i] && j <= hi[i] ? offset[i] + j - lo[i] : -1);
+  const costAt = (k) => (k < 0 ? Infinity : cost[k]);
+
+  const maxPathLen = n + m - 1;
+  const canAbandon = !subsequence && Number.isFinite(abandonAbove);
 
-  // Distance matrix
-  const distMatrix = [];
   for (let i = 0; i < n; i++) {
-    distMatrix[i] = [];
-    for (let j = 0; j < m; j++) {
-      distMatrix[i][j] = featureDistance(seqA[i], seqB[j]);
+    let rowMin = Infinity;
+    for (let j = lo[i]; j <= hi[i]; j++) {
+      const k = at(i, j);
+      dist[k] = featureDistance(seqA.vectors[i], seqB.vectors[j], seqA.conf[i], seqB.conf[j], weights);
+
+      if (j === 0) {
+        // Open begin: any live frame may start the match for free
+        const up = at(i - 1, 0);
+        if (subsequence || up < 0) {
+          cost[k] = dist[k];
+          len[k] = 1;
+          from[k] = i;
+        } else {
+          cost[k] = cost[up] + dist[k];
+          len[k] = len[up] + 1;
+          from[k] = from[up];
+        }
+      } else {
+        const kd = at(i - 1, j - 1), ku = at(i - 1, j), kl = at(i, j - 1);
+        const d = costAt(kd), u = costAt(ku), l = costAt(kl);
+        let p = kd;
+        if (u < d && u <= l) p = ku;
+        else if (l < d && l < u) p = kl;
+        cost[k] = dist[k] + cost[p];
+        len[k] = len[p] + 1;
+        from[k] = from[p];
+      }
+      if (cost[k] < rowMin) rowMin = cost[k];
+    }
+
+    if (canAbandon && rowMin / maxPathLen > abandonAbove) {
+      return { ...empty, abandoned: true };
     }
   }
 
-  // Cumulative cost matrix
-  const cost = Array.from({ length: n }, () => new Float32Array(m));
-  cost[0][0] = distMatrix[0][0];
-  for (let j = 1; j < m; j++) cost[0][j] = cost[0][j - 1] + distMatrix[0][j];
-  for (let i = 1; i < n; i++) cost[i][0] = cost[i - 1][0] + distMatrix[i][0];
-  for (let i = 1; i < n; i++) {
-    for (let j = 1; j < m; j++) {
-      cost[i][j] = distMatrix[i][j] + Math.min(cost[i - 1][j], cost[i][j - 1], cost[i - 1][j - 1]);
+  // Open end: pick the live frame where the reference match ends
+  let endI = n - 1;
+  if (subsequence) {
+    const minWindow = Math.min(n, Math.ceil(m * MIN_WINDOW_RATIO));
+    let best = Infinity;
+    for (let i = 0; i < n; i++) {
+      const k = at(i, m - 1);
+      if (i - from[k] + 1 < minWindow) continue;
+      const avg = cost[k] / len[k];
+      if (avg < best) { best = avg; endI = i; }
     }
   }
 
   // Backtrace
   const path = [];
-  let i = n - 1, j = m - 1;
+  let i = endI, j = m - 1;
   path.push([i, j]);
-  while (i > 0 || j > 0) {
+  while (subsequence ? j > 0 : i > 0 || j > 0) {
     if (i === 0) j--;
     else if (j === 0) i--;
     else {
-      const d = cost[i - 1][j - 1], u = cost[i - 1][j], l = cost[i][j - 1];
+      const d = costAt(at(i - 1, j - 1)), u = costAt(at(i - 1, j)), l = costAt(at(i, j - 1));
       if (d <= u && d <= l) { i--; j--; }
       else if (u <= l) i--;
       else j--;
@@ -319,12 +887,241 @@ function dtw(seqA, seqB) {
   path.reverse();
 
   // Scores along path
-  const pathDists = path.map(([pi, pj]) => distMatrix[pi][pj]);
+  const pathDists = path.map(([pi, pj]) => dist[at(pi, pj)]);
   const avgDist = pathDists.reduce((a, b) => a + b, 0) / pathDists.length;
-  const pathScores = pathDists.map(d => distToScore(d));
+  const pathScores = pathDists.map(d => distToScore(d, sigma));
   const avgScore = pathScores.reduce((a, b) => a + b, 0) / pathScores.length;
 
-  return { score: Math.round(avgScore), pathScores, avgDistance: avgDist };
+  return { score: Math.round(avgScore), pathScores, avgDistance: avgDist, path };
+}
+
+// ===========================================================
+// Per-part breakdown
+// ===========================================================
+
+/**
+ * Score each body part along an aligned DTW path.
+ * A part's score is the mean distToScore of its weighted component
+ * distance at every path step where that part has data.
+ * `weights` and `sigma` come from the scoring profile.
+ *
+ * @returns {Object} { arms, rightHand, leftHand, location, palm, movement, head, face, expression }
+ *   → 0-100 or null
+ */
+function partBreakdown(seqA, seqB, path, weights = profileWeights(STANDARD), sigma = STANDARD.sigma) {
+  const sums = {};
+  const counts = {};
+  for (const part of BODY_PARTS) { sums[part] = 0; counts[part] = 0; }
+
+  for (const [i, j] of path) {
+    const dists = componentDistances(seqA.vectors[i], seqB.vectors[j]);
+    const partSum = {};
+    const partWeight = {};
+    for (let c = 0; c < FEATURES.length; c++) {
+      const conf = Math.min(seqA.conf[i][c], seqB.conf[j][c]);
+      if (dists[c] === null || conf <= 0) continue;
+      const { part } = FEATURES[c];
+      partSum[part] = (partSum[part] || 0) + weights[c] * conf * dists[c];
+      partWeight[part] = (partWeight[part] || 0) + weights[c] * conf;
+    }
+    for (const part of Object.keys(partSum)) {
+      sums[part] += distToScore(partSum[part] / partWeight[part], sigma);
+      counts[part]++;
+    }
+  }
+
+  const scores = {};
+  for (const part of BODY_PARTS) {
+    scores[part] = counts[part] > 0 ? Math.round(sums[part] / counts[part]) : null;
+  }
+  return scores;
+}
+
+// ===========================================================
+// Score traces (calibration)
+// ===========================================================
+
+/**
+ * Per-component distance and confidence at every step of a DTW path,
+ * indexed like featureNames(). Distances are null where neither side
+ * has data. Enough to rescore an attempt with other profile parameters
+ * without aligning it again (see scoreTrace).
+ */
+function componentTrace(seqA, seqB, path) {
+  const distances = [];
+  const confidence = [];
+  for (const [i, j] of path) {
+    distances.push(componentDistances(seqA.vectors[i], seqB.vectors[j]));
+    confidence.push(FEATURES.map((_, c) => Math.min(seqA.conf[i][c], seqB.conf[j][c])));
+  }
+  return { distances, confidence };
+}
+
+/**
+ * Score of an attempt from its trace (compareDTW with `trace: true`)
+ * under a scoring profile: the same path scores, motion penalty and
+ * non-manual caps as compareDTW, but with the profile's sigma, weights
+ * and caps. The alignment itself is kept, so this matches compareDTW
+ * for the profile the attempt was scored with.
+ *
+ * @param {Object} trace - { distances, confidence, motionRatio, headMissed }
+ * @param {string|Object} [profile] - scoring profile (see scoringProfiles.js)
+ * @returns {number} 0-100
+ */
+export function scoreTrace(trace, profile) {
+  const resolved = resolveProfile(profile);
+  const weights = profileWeights(resolved);
+  const expr = FEATURES.indexOf(FEATURES_BY_NAME.expression);
+  const steps = trace.distances.length;
+  if (steps === 0) return 0;
+
+  let sum = 0;
+  let exprSum = 0;
+  let exprCount = 0;
+  for (let s = 0; s < steps; s++) {
+    const dists = trace.distances[s];
+    const conf = trace.confidence[s];
+    let weightedSum = 0;
+    let totalWeight = 0;
+    for (let c = 0; c < FEATURES.length; c++) {
+      if (dists[c] === null || conf[c] <= 0) continue;
+      weightedSum += weights[c] * conf[c] * dists[c];
+      totalWeight += weights[c] * conf[c];
+    }
+    sum += distToScore(totalWeight < 0.01 ? 0 : weightedSum / totalWeight, resolved.sigma);
+    if (dists[expr] !== null && conf[expr] > 0) {
+      exprSum += distToScore(dists[expr], resolved.sigma);
+      exprCount++;
+    }
+  }
+
+  const score = applyMotionPenalty(Math.round(sum / steps), trace.motionRatio, 1, resolved.motionCaps);
+  const expressionScore = exprCount > 0 ? Math.round(exprSum / exprCount) : null;
+  return applyNonManualCaps(score, expressionScore, trace.headMissed, resolved);
+}
+
+/**
+ * Mean wrist offset (live − reference) along the path, in normalised
+ * body units. Positive y means the learner's wrist was lower than the reference.
+ */
+function wristOffsets(seqA, seqB, path) {
+  const offsets = {};
+  const positions = featureStart("positions");
+  for (const [side, offset] of Object.entries(WRIST_POSITION)) {
+    const idx = positions + offset;
+    let dx = 0, dy = 0;
+    for (const [i, j] of path) {
+      dx += seqA.vectors[i][idx] - seqB.vectors[j][idx];
+      dy += seqA.vectors[i][idx + 1] - seqB.vectors[j][idx + 1];
+    }
+    offsets[side] = [dx / path.length, dy / path.length];
+  }
+  return offsets;
+}
+
+/**
+ * Named location of one hand (see SIGN_LOCATIONS) from its location
+ * features: "neutral" when it is near none of them, null if no hand.
+ */
+function locationLabel(vec, side) {
+  const k = featureStart("location") + HAND_LOCATION[side];
+  const face = [vec[k], vec[k + 1]];
+  const torso = [vec[k + 4], vec[k + 5]];
+  if (face[0] === 0 && face[1] === 0 && torso[0] === 0 && torso[1] === 0) return null;
+
+  let label = "neutral";
+  let closest = Infinity;
+  for (const loc of SIGN_LOCATIONS) {
+    const [x, y] = loc.frame === "face" ? face : torso;
+    const rel = Math.hypot(x - loc.at[0], y - loc.at[1]) / loc.radius;
+    if (rel <= 1 && rel < closest) { closest = rel; label = loc.name; }
+  }
+  return label;
+}
+
+/**
+ * Where the reference holds each hand vs. where the learner did.
+ * For each hand, takes the reference's most common label along the path
+ * (from `labelFn(vec, side)`, ignoring `skip`) and checks how often the
+ * learner's hand had that label too.
+ * Returns { hand, expected, actual, agreement } for the worst-matched
+ * hand if the learner matched less than half the time, otherwise null.
+ */
+function handLabelMismatch(seqA, seqB, path, labelFn, skip = null) {
+  let worst = null;
+  for (const side of ["right", "left"]) {
+    const refCounts = {};
+    for (const [, j] of path) {
+      const label = labelFn(seqB.vectors[j], side);
+      if (label && label !== skip) refCounts[label] = (refCounts[label] || 0) + 1;
+    }
+    const expected = Object.keys(refCounts).sort((a, b) => refCounts[b] - refCounts[a])[0];
+    if (!expected) continue;
+
+    let matched = 0, total = 0;
+    const liveCounts = {};
+    for (const [i, j] of path) {
+      if (labelFn(seqB.vectors[j], side) !== expected) continue;
+      const live = labelFn(seqA.vectors[i], side);
+      total++;
+      if (live === expected) matched++;
+      if (live) liveCounts[live] = (liveCounts[live] || 0) + 1;
+    }
+    const agreement = matched / total;
+    const actual = Object.keys(liveCounts).sort((a, b) => liveCounts[b] - liveCounts[a])[0] || null;
+    if (agreement < 0.5 && (!worst || agreement < worst.agreement)) {
+      worst = { hand: side, expected, actual, agreement: Math.round(agreement * 100) / 100 };
+    }
+  }
+  return worst;
+}
+
+/**
+ * Which way a palm faces, from its palm-normal features:
+ * "camera", "signer", "up", "down" or "sideways"; null if no hand.
+ * Image y points down and smaller z is closer to the camera.
+ */
+function palmLabel(vec, side) {
+  const k = featureStart("palm") + PALM_ORIENTATION[side];
+  const [nx, ny, nz] = [vec[k], vec[k + 1], vec[k + 2]];
+  const ax = Math.abs(nx), ay = Math.abs(ny), az = Math.abs(nz);
+  if (ax + ay + az < 1e-6) return null;
+  if (az >= ax && az >= ay) return nz < 0 ? "camera" : "signer";
+  if (ay >= ax) return ny > 0 ? "down" : "up";
+  return "sideways";
+}
+
+// Expression difference (scaled blendshape units) worth a specific tip
+const EXPRESSION_HINT = 0.3;
+
+/**
+ * The facial expression feature the learner differed on most, averaged
+ * along the path: { feature, direction: "more"|"less", diff }, or null
+ * if no feature differs by at least EXPRESSION_HINT.
+ * "more" means the reference shows more of it than the learner did.
+ */
+function expressionMismatch(seqA, seqB, path) {
+  const { start, end } = FEATURES_BY_NAME.expression;
+  const sums = EXPRESSION_FEATURES.map(() => 0);
+  let count = 0;
+  for (const [i, j] of path) {
+    const a = seqA.vectors[i], b = seqB.vectors[j];
+    // Skip frames where either side has no blendshapes
+    if (!a.slice(start, end).some((v) => v !== 0) || !b.slice(start, end).some((v) => v !== 0)) continue;
+    EXPRESSION_FEATURES.forEach((_, k) => { sums[k] += b[start + k] - a[start + k]; });
+    count++;
+  }
+  if (count === 0) return null;
+
+  let worst = null;
+  sums.forEach((sum, k) => {
+    const diff = sum / count;
+    if (Math.abs(diff) >= EXPRESSION_HINT && (!worst || Math.abs(diff) > Math.abs(worst.diff))) {
+      worst = { feature: EXPRESSION_FEATURES[k][0], direction: diff > 0 ? "more" : "less",
+                diff: Math.round(diff * 100) / 100 };
+    }
+  });
+  return worst;
 }
 
 // ===========================================================
@@ -342,7 +1139,11 @@ function dtw(seqA, seqB) {
  *   leftWrist(15) <-> rightWrist(16)
  *   leftHip(23) <-> rightHip(24)
  * Then invert all x-coordinates (x -> 1-x, since coords are 0-1 normalised).
- * Also swap leftHand <-> rightHand.
+ * Depth (z) is kept as is.
+ * Also swap leftHand <-> rightHand, and the confidences along with them.
+ *
+ * Compact 17-point reference frames are mirrored the same way, so an
+ * uploaded reference can be recognised against the library too.
  */
 const MIRROR_SWAP_PAIRS = [
   [11, 12], // shoulders
@@ -351,27 +1152,41 @@ const MIRROR_SWAP_PAIRS = [
   [23, 24], // hips
 ];
 
-function mirrorLiveFrames(frames) {
-  return frames.map(frame => {
-    let mirroredPose = null;
-    if (frame.pose) {
-      mirroredPose = frame.pose.map(([x, y]) => [1 - x, y]);
-      // Swap left/right joint pairs
-      for (const [l, r] of MIRROR_SWAP_PAIRS) {
-        if (l < mirroredPose.length && r < mirroredPose.length) {
-          const tmp = mirroredPose[l];
-          mirroredPose[l] = mirroredPose[r];
-          mirroredPose[r] = tmp;
-        }
-      }
+// The same joints in the compact reference format (see videoProcessor)
+const MIRROR_SWAP_PAIRS_COMPACT = [
+  [3, 4], // shoulders
+  [5, 6], // elbows
+  [7, 8], // wrists
+  [15, 16], // hips
+];
+
+function swapPairs(values) {
+  const out = [...values];
+  const pairs = values.length >= 25 ? MIRROR_SWAP_PAIRS : MIRROR_SWAP_PAIRS_COMPACT;
+  for (const [l, r] of pairs) {
+    if (l < out.length && r < out.length) {
+      out[l] = values[r];
+      out[r] = values[l];
     }
-    return {
-      pose: mirroredPose,
-      rightHand: frame.leftHand ? frame.leftHand.map(([x, y]) => [1 - x, y]) : null,
-      leftHand: frame.rightHand ? frame.rightHand.map(([x, y]) => [1 - x, y]) : null,
-      face: frame.face, // face features are symmetric ratios, no mirroring needed
-    };
-  });
+  }
+  return out;
+}
+
+function mirrorLiveFrames(frames) {
+  return frames.map(frame => ({
+    // Swap left/right joint pairs (and their confidences)
+    pose: frame.pose ? swapPairs(frame.pose.map(([x, y, ...z]) => [1 - x, y, ...z])) : null,
+    poseConf: frame.poseConf ? swapPairs(frame.poseConf) : null,
+    rightHand: frame.leftHand ? frame.leftHand.map(([x, y, ...z]) => [1 - x, y, ...z]) : null,
+    leftHand: frame.rightHand ? frame.rightHand.map(([x, y, ...z]) => [1 - x, y, ...z]) : null,
+    rightHandConf: frame.leftHandConf,
+    leftHandConf: frame.rightHandConf,
+    // Face features are symmetric ratios, but the mesh is the anchor for
+    // hand location, so it has to be flipped with everything else
+    face: frame.face ? frame.face.map(([x, y, ...z]) => [1 - x, y, ...z]) : null,
+    // Expression features average left and right, so blendshapes stay as they are
+    faceBlendshapes: frame.faceBlendshapes ?? null,
+  }));
 }
 
 // ===========================================================
@@ -380,85 +1195,328 @@ function mirrorLiveFrames(frames) {
 
 /**
  * Compute total motion from a feature sequence.
- * Sums absolute velocity values (indices 20-23) across all frames.
+ * Sums absolute values of the motion features (arm velocity, see
+ * registerFeature) across all frames.
  * This measures how much the arms actually moved during the sequence.
  */
 function computeMotion(featureSeq) {
   let total = 0;
-  for (const vec of featureSeq) {
-    for (let i = 20; i < 24 && i < vec.length; i++) {
-      total += Math.abs(vec[i]);
+  for (const { start, end, motion } of FEATURES) {
+    if (!motion) continue;
+    for (const vec of featureSeq) {
+      for (let i = start; i < end && i < vec.length; i++) {
+        total += Math.abs(vec[i]);
+      }
     }
   }
   return total;
 }
 
+// Mean head velocity per frame (feature units) that counts as a head movement
+const HEAD_MOTION_MIN = 0.15;
+const HEAD_MOVEMENTS = ["shake", "nod", "tilt"]; // yaw, pitch, roll
+
 /**
- * Apply motion penalty with hard score caps.
- * Standing still must always result in 0 stars (0-30).
- *
- * Star tiers: 0 stars (0-30), 1 star (31-60), 2 stars (61-85), 3 stars (86-100)
+ * Total absolute head velocity per axis (yaw, pitch, roll) over a feature sequence.
+ */
+function headMotion(featureSeq) {
+  const start = featureStart("head");
+  const totals = [0, 0, 0];
+  for (const vec of featureSeq) {
+    for (let k = 0; k < 3; k++) totals[k] += Math.abs(vec[start + 3 + k] || 0);
+  }
+  return totals;
+}
+
+/**
+ * Head movement the reference makes but the learner (mostly) didn't:
+ * { movement: "nod"|"shake"|"tilt", ratio } or null.
+ */
+function missingHeadMovement(liveFeats, refFeats) {
+  if (refFeats.length === 0 || liveFeats.length === 0) return null;
+  const ref = headMotion(refFeats);
+  const live = headMotion(liveFeats);
+  const k = ref.indexOf(Math.max(...ref));
+  if (ref[k] / refFeats.length < HEAD_MOTION_MIN) return null;
+  // Compare per frame so a longer or shorter attempt isn't penalised
+  const ratio = (live[k] / liveFeats.length) / (ref[k] / refFeats.length);
+  return ratio < 0.5 ? { movement: HEAD_MOVEMENTS[k], ratio: Math.round(ratio * 100) / 100 } : null;
+}
+
+/**
+ * Apply motion penalty with hard score caps from the scoring profile.
+ * Standing still must always result in 0 stars.
  *
+ * Standard profile (stars: 0-30, 31-60, 61-69, 70-100):
  *   ratio < 30%  -> score capped at 15  (0 stars, barely moved)
  *   ratio 30-50% -> score capped at 30  (0 stars, not enough movement)
  *   ratio 50-70% -> score capped at 55  (1 star at best)
  *   ratio >= 70% -> no cap, normal score
  */
-function applyMotionPenalty(score, liveMotion, refMotion) {
+function applyMotionPenalty(score, liveMotion, refMotion, caps = STANDARD.motionCaps) {
   if (refMotion < 0.01) return score;
   const ratio = liveMotion / refMotion;
-  if (ratio < 0.3) return Math.min(score, 15);
-  if (ratio < 0.5) return Math.min(score, 30);
-  if (ratio < 0.7) return Math.min(score, 55);
+  for (const [below, cap] of caps) {
+    if (ratio < below) return Math.min(score, cap);
+  }
   return score;
 }
 
+/**
+ * Caps for non-manual parts of the sign: the facial expression on words
+ * that grade it (e.g. raised brows on a question) and a nod, shake or
+ * tilt the reference makes. A sign without them can't get top marks
+ * however good the hands were. Caps come from the scoring profile.
+ *
+ * Standard profile:
+ *   expression < 50      -> score capped at 55 (1 star at best)
+ *   expression < 75      -> score capped at 69 (2 stars at best)
+ *   head movement missed -> score capped at 69 (2 stars at best)
+ */
+function applyNonManualCaps(score, expressionScore, headHint, profile = STANDARD) {
+  let capped = score;
+  if (expressionScore !== null) {
+    const cap = profile.expressionCaps.find(([below]) => expressionScore < below);
+    if (cap) capped = Math.min(capped, cap[1]);
+  }
+  if (headHint) capped = Math.min(capped, profile.headCap);
+  return capped;
+}
+
 // ===========================================================
-// Public API
+// Tempo
 // ===========================================================
 
+// Seconds per frame when frames carry no timestamps (~10 fps recording)
+const DEFAULT_FRAME_SECONDS = 0.1;
+// Overall speed (reference time / learner time) counted as too fast / too slow
+const TEMPO_FAST = 1.3;
+const TEMPO_SLOW = 0.7;
+// Speed of one third of the sign counted as rushed / dragging
+const SECTION_RUSHED = 1.5;
+const SECTION_DRAGGING = 0.6;
+// Learner time spent on a single reference frame that counts as a pause
+const PAUSE_SECONDS = 0.6;
+// Reference time needed before tempo is worth reporting
+const TEMPO_MIN_SECONDS = 0.5;
+const TEMPO_SECTIONS = ["start", "middle", "end"];
+
 /**
- * Process recorded live frames into feature sequences.
+ * Time in seconds of each source frame in `indices`: `_t` (ms) on live
+ * frames, `t` (s) on reference frames, or estimated from the index.
  */
-function processLiveFrames(frames) {
-  const features = [];
-  let prevAngles = null;
+function frameSeconds(frames, indices) {
+  return indices.map((idx) => {
+    const frame = frames[idx];
+    if (frame?._t != null) return frame._t / 1000;
+    if (frame?.t != null) return frame.t;
+    return idx * DEFAULT_FRAME_SECONDS;
+  });
+}
 
-  for (const frame of frames) {
-    if (!frame.pose || frame.pose.length < 25) continue;
+/**
+ * Tempo of the learner against the reference, from the slope of the DTW path.
+ *
+ * Speed is reference time over learner time, so 1.5 means the learner
+ * signed 50% faster than the video. It is measured over the whole
+ * aligned sign and over each third of it (by reference time); a pause is
+ * the learner lingering on one reference frame for PAUSE_SECONDS or
+ * more, not counting holds at the very start or end.
+ *
+ * @returns {{ speed: number, sections: Object, rushed: string[], dragging: string[],
+ *             pauses: Array<{ section: string, seconds: number }> }|null}
+ *   rushed/dragging name sections, fastest/slowest first; null when the
+ *   aligned part of the reference is too short to tell
+ */
+function tempoMetrics(path, liveTimes, refTimes) {
+  if (path.length < 2) return null;
+  const liveAt = (k) => liveTimes[path[k][0]];
+  const refAt = (k) => refTimes[path[k][1]];
+  const last = path.length - 1;
+  const refSpan = refAt(last) - refAt(0);
+  if (refSpan < TEMPO_MIN_SECONDS) return null;
+  // Never divide by less than one frame of learner time
+  const speedOf = (a, b) => (refAt(b) - refAt(a)) / Math.max(liveAt(b) - liveAt(a), DEFAULT_FRAME_SECONDS);
+  const round = (v) => Math.round(v * 100) / 100;
+
+  // Path positions where each third of the reference starts
+  const bounds = [0];
+  for (let s = 1; s < TEMPO_SECTIONS.length; s++) {
+    const t = refAt(0) + (s * refSpan) / TEMPO_SECTIONS.length;
+    let k = bounds[s - 1];
+    while (k < last && refAt(k) < t) k++;
+    bounds.push(k);
+  }
+  bounds.push(last);
+  const sectionAt = (k) => {
+    let s = 0;
+    while (s < TEMPO_SECTIONS.length - 1 && k >= bounds[s + 1]) s++;
+    return TEMPO_SECTIONS[s];
+  };
 
-    const subset = LIVE_UPPER.map(i => [frame.pose[i][0], frame.pose[i][1]]);
-    const norm = normalizeSubset(subset);
-    if (!norm) continue;
+  const sections = {};
+  TEMPO_SECTIONS.forEach((name, s) => {
+    sections[name] = round(speedOf(bounds[s], bounds[s + 1]));
+  });
 
-    const feat = extractFeatures(norm, frame.rightHand, frame.leftHand, prevAngles, frame.face);
-    features.push(feat.vector);
-    prevAngles = feat.armAngles;
+  // Runs of the path that stay on one reference frame while the learner carries on
+  const pauses = [];
+  const lastRef = path[last][1];
+  let runStart = 0;
+  for (let k = 1; k <= path.length; k++) {
+    if (k < path.length && path[k][1] === path[runStart][1]) continue;
+    const refIdx = path[runStart][1];
+    const seconds = liveAt(k - 1) - liveAt(runStart);
+    if (seconds >= PAUSE_SECONDS && refIdx !== path[0][1] && refIdx !== lastRef) {
+      pauses.push({ section: sectionAt(runStart), seconds: round(seconds) });
+    }
+    runStart = k;
   }
 
-  return features;
+  const byName = (names, sign) => names.sort((a, b) => sign * (sections[b] - sections[a]));
+  return {
+    speed: round(speedOf(0, last)),
+    sections,
+    rushed: byName(TEMPO_SECTIONS.filter((n) => sections[n] > SECTION_RUSHED), 1),
+    dragging: byName(TEMPO_SECTIONS.filter((n) => sections[n] < SECTION_DRAGGING), -1),
+    pauses,
+  };
 }
 
+// ===========================================================
+// Hand consistency
+// ===========================================================
+
+// Other orientation must be this much closer for a frame to count
+const OTHER_HAND_MARGIN = 0.8;
+// Share of the path matched better by the other hand: mixed / wrong hand
+const MIXED_HANDS_FRACTION = 0.25;
+const WRONG_HAND_FRACTION = 0.75;
+
 /**
- * Process reference frames into feature sequences.
+ * Along the chosen alignment, how often the other orientation (the
+ * learner's other hand leading) would have matched the reference clearly
+ * better. Symmetric two-handed signs match both ways equally and never count.
+ *
+ * `wrongHand` is only reported when the orientation was fixed by the
+ * dominant-hand setting; otherwise the better orientation was already used.
+ *
+ * @returns {{ otherHandFraction, mixed, wrongHand }}
+ */
+function checkHands(chosen, other, ref, path, forced, weights = profileWeights(STANDARD)) {
+  if (chosen.indices.length !== other.indices.length) return null;
+  let count = 0;
+  for (const [i, j] of path) {
+    const d = featureDistance(chosen.vectors[i], ref.vectors[j], chosen.conf[i], ref.conf[j], weights);
+    const dOther = featureDistance(other.vectors[i], ref.vectors[j], other.conf[i], ref.conf[j], weights);
+    if (dOther < d * OTHER_HAND_MARGIN) count++;
+  }
+  const fraction = count / path.length;
+  const wrongHand = forced && fraction >= WRONG_HAND_FRACTION;
+  return {
+    otherHandFraction: Math.round(fraction * 100) / 100,
+    mixed: !wrongHand && fraction >= MIXED_HANDS_FRACTION,
+    wrongHand,
+  };
+}
+
+// ===========================================================
+// Public API
+// ===========================================================
+
+/**
+ * True if the frames carry MediaPipe z values (3D pose landmarks).
+ * Older references store only [x, y].
  */
-function processRefFrames(frames) {
-  const features = [];
-  let prevAngles = null;
+function hasDepth(frames) {
+  const frame = frames.find(f => f.pose && f.pose.length > 0);
+  return !!frame && frame.pose[0].length >= 3;
+}
 
-  for (const frame of frames) {
-    if (!frame.pose || frame.pose.length < 17) continue;
+/**
+ * Turn frames into feature vectors, remembering which source frame
+ * each vector came from (frames without a usable pose are skipped)
+ * and how confident MediaPipe was about each component.
+ *
+ * @returns {{ vectors: number[][], conf: number[][], indices: number[] }}
+ */
+function processFrames(frames, upperIndices, minPoseLength, depth, expression = false) {
+  const vectors = [];
+  const conf = [];
+  const indices = [];
+  let prev = null;
+
+  frames.forEach((frame, idx) => {
+    const feat = frameFeatures(frame, upperIndices, minPoseLength, depth, prev, expression);
+    if (!feat) return;
+    vectors.push(feat.vector);
+    conf.push(componentConfidence(frame, upperIndices));
+    indices.push(idx);
+    prev = feat;
+  });
 
-    const subset = REF_UPPER.map(i => [frame.pose[i][0], frame.pose[i][1]]);
-    const norm = normalizeSubset(subset);
-    if (!norm) continue;
+  centerHeadPose(vectors);
+  return { vectors, conf, indices };
+}
 
-    const feat = extractFeatures(norm, frame.rightHand, frame.leftHand, prevAngles, frame.face);
-    features.push(feat.vector);
-    prevAngles = feat.armAngles;
+/**
+ * Features of a single frame, or null if its pose is missing or degenerate.
+ * Blendshapes are only used when `expression` is graded.
+ */
+function frameFeatures(frame, upperIndices, minPoseLength, depth, prev, expression = false) {
+  if (!frame.pose || frame.pose.length < minPoseLength) return null;
+
+  const subset = upperIndices.map(i => depth
+    ? [frame.pose[i][0], frame.pose[i][1], frame.pose[i][2] ?? 0]
+    : [frame.pose[i][0], frame.pose[i][1]]);
+  const norm = normalizeSubset(subset);
+  if (!norm) return null;
+
+  const anchors = locationAnchors(subset, frame.pose, frame.face);
+  return extractFeatures({
+    subset: norm,
+    rightHand: frame.rightHand,
+    leftHand: frame.leftHand,
+    face: frame.face,
+    blendshapes: expression ? frame.faceBlendshapes : null,
+    headPose: extractHeadPose(frame.face, frame.pose),
+    anchors,
+    depth,
+    prev,
+  });
+}
+
+/**
+ * Make head angles relative to the recording's average head pose, in
+ * place, so camera height and a habitual tilt don't count against the
+ * learner; nods, shakes and tilts still do. Velocities are left as they are.
+ * `baseline` ([yaw, pitch, roll] in feature units) is used instead of the
+ * average when given. Returns the baseline used, or null without head data.
+ */
+function centerHeadPose(vectors, baseline = null) {
+  const start = featureStart("head");
+  const withHead = vectors.filter((v) => v[start] !== 0 || v[start + 1] !== 0 || v[start + 2] !== 0);
+  if (withHead.length === 0) return null;
+  const mean = baseline ?? [0, 1, 2].map((k) =>
+    withHead.reduce((sum, v) => sum + v[start + k], 0) / withHead.length);
+  for (const v of withHead) {
+    for (let k = 0; k < 3; k++) v[start + k] -= mean[k];
   }
+  return mean;
+}
 
-  return features;
+/**
+ * Process recorded live frames into feature sequences.
+ */
+function processLiveFrames(frames, depth = false, expression = false) {
+  return processFrames(frames, LIVE_UPPER, 25, depth, expression);
+}
+
+/**
+ * Process reference frames into feature sequences.
+ */
+function processRefFrames(frames, depth = false, expression = false) {
+  return processFrames(frames, REF_UPPER, 17, depth, expression);
 }
 
 /**
@@ -466,74 +1524,771 @@ function processRefFrames(frames) {
  * Tries both original and mirrored orientations, returns the better score.
  * This handles left-handed signers matching right-handed reference videos.
  *
+ * With `options.subsequence`, only the best-matching window of the live
+ * recording is scored, so a late start or early finish isn't penalised.
+ * `window` reports the live frame indices that were used either way.
+ *
+ * `options.depth` ("auto" by default) uses the 3D feature set when both
+ * recordings carry z values; `false` forces 2D. `depth` in the result
+ * says which was used.
+ *
+ * `options.dominantHand` ("right", "left" or "auto") is the learner's
+ * dominant hand and `options.refDominantHand` the reference signer's
+ * ("right" by default). With a known hand only the matching orientation
+ * is scored, so signing with the other hand isn't rewarded; "auto" tries
+ * both. `hand` in the result is the hand the learner was scored as
+ * leading with, and `handCheck` flags switching hands mid-sign.
+ *
+ * `options.facialExpression` grades facial expression from blendshapes
+ * (e.g. raised brows on question signs); off by default, set per word.
+ * `expressionHint` then names the expression the learner missed most.
+ *
+ * `headHint` names a nod, shake or tilt the reference makes but the
+ * learner left out; the head part and the score are capped when it's set.
+ *
+ * `tempo` compares the learner's speed with the video's, overall and per
+ * third of the sign, and lists pauses (see tempoMetrics). It doesn't
+ * change the score; generateFeedback turns it into a tip.
+ *
+ * `options.profile` is the scoring profile (a name or profile object, see
+ * scoringProfiles.js). The resolved `profile` is returned with the
+ * result, so stars and feedback use the same one.
+ *
+ * With `options.trace` the result also carries a `trace` of per-component
+ * distances along the path, for rescoring during calibration (see scoreTrace).
+ *
  * @param {Array} liveFrames - recorded [{pose, rightHand, leftHand}, ...]
  * @param {Array} refFrames - reference [{pose, rightHand, leftHand}, ...]
- * @returns {{ score, pathScores, avgDistance, liveFeatureCount, refFeatureCount, mirrored }}
+ * @param {Object} [options] - { subsequence, depth, dominantHand, refDominantHand,
+ *                              facialExpression, profile, trace, window, band, abandonAbove } (see dtw)
+ * @returns {{ score, pathScores, avgDistance, path, window, liveFeatureCount, refFeatureCount,
+ *             mirrored, hand, handCheck, lowMotion, partScores, wristOffsets, locationHint,
+ *             orientationHint, expressionHint, headHint, tempo, depth, profile, trace }}
  */
-export function compareDTW(liveFrames, refFrames) {
-  const refFeats = processRefFrames(refFrames);
+export function compareDTW(liveFrames, refFrames, options = {}) {
+  const { depth: depthMode = "auto", dominantHand = "auto", refDominantHand = "right",
+          facialExpression = false } = options;
+  const profile = resolveProfile(options.profile);
+  const weights = profileWeights(profile);
+  // Orientation to score when the learner's hand is known (null = try both)
+  const forced = dominantHand === "auto" ? null
+    : dominantHand === refDominantHand ? "original" : "mirrored";
+  const depth = depthMode !== false && hasDepth(liveFrames) && hasDepth(refFrames);
+
+  const ref = processRefFrames(refFrames, depth, facialExpression);
+  const refFeats = ref.vectors;
 
   // Try original orientation
-  const liveFeats = processLiveFrames(liveFrames);
+  const live = processLiveFrames(liveFrames, depth, facialExpression);
+  const liveFeats = live.vectors;
   // Try mirrored orientation
-  const mirroredFeats = processLiveFrames(mirrorLiveFrames(liveFrames));
+  const mirrored = processLiveFrames(mirrorLiveFrames(liveFrames), depth, facialExpression);
+  const mirroredFeats = mirrored.vectors;
 
-  console.log(`Features: live=${liveFeats.length}, mirrored=${mirroredFeats.length}, ref=${refFeats.length}`);
+  console.log(`Features: live=${liveFeats.length}, mirrored=${mirroredFeats.length}, ref=${refFeats.length}, depth=${depth}`);
 
   const minLive = Math.max(liveFeats.length, mirroredFeats.length);
   if (minLive < 2 || refFeats.length < 2) {
-    return { score: 0, pathScores: [], avgDistance: Infinity,
-             liveFeatureCount: liveFeats.length, refFeatureCount: refFeats.length, mirrored: false };
+    return { score: 0, pathScores: [], avgDistance: Infinity, path: [], window: null,
+             liveFeatureCount: liveFeats.length, refFeatureCount: refFeats.length, mirrored: false,
+             hand: null, handCheck: null, partScores: null, wristOffsets: null, locationHint: null,
+             orientationHint: null, expressionHint: null, headHint: null, tempo: null, depth, profile,
+             trace: null };
   }
 
-  const resultOriginal = liveFeats.length >= 2 ? dtw(liveFeats, refFeats) : { score: 0 };
-  const resultMirrored = mirroredFeats.length >= 2 ? dtw(mirroredFeats, refFeats) : { score: 0 };
+  const skipped = { score: 0, path: [] };
+  const dtwOptions = { ...options, weights, sigma: profile.sigma };
+  const resultOriginal = forced !== "mirrored" && liveFeats.length >= 2 ? dtw(live, ref, dtwOptions) : skipped;
+  const resultMirrored = forced !== "original" && mirroredFeats.length >= 2 ? dtw(mirrored, ref, dtwOptions) : skipped;
 
-  const useMirrored = resultMirrored.score > resultOriginal.score;
+  const useMirrored = forced ? forced === "mirrored" : resultMirrored.score > resultOriginal.score;
   const best = useMirrored ? resultMirrored : resultOriginal;
-  const bestLiveFeats = useMirrored ? mirroredFeats : liveFeats;
+  const bestLive = useMirrored ? mirrored : live;
+  const bestLiveFeats = bestLive.vectors;
+  const bestIndices = bestLive.indices;
+  const hasPath = best.path.length > 0;
+
+  // Live window the reference was aligned to (feature → source frame index)
+  const winStart = hasPath ? best.path[0][0] : 0;
+  const winEnd = hasPath ? best.path[best.path.length - 1][0] : bestLiveFeats.length - 1;
+  const liveWindow = { start: bestIndices[winStart], end: bestIndices[winEnd] };
 
   // Motion penalty: penalise standing still
   const refMotion = computeMotion(refFeats);
-  const liveMotion = computeMotion(bestLiveFeats);
+  const liveMotion = computeMotion(bestLiveFeats.slice(winStart, winEnd + 1));
   const motionRatio = refMotion > 0.01 ? liveMotion / refMotion : 1;
   const rawScore = best.score;
-  const penalisedScore = applyMotionPenalty(rawScore, liveMotion, refMotion);
+  const penalisedScore = applyMotionPenalty(rawScore, liveMotion, refMotion, profile.motionCaps);
   const lowMotion = motionRatio < 0.5;
 
-  console.log(`DTW scores: original=${resultOriginal.score}, mirrored=${resultMirrored.score}, using=${useMirrored ? 'mirrored' : 'original'}`);
-  console.log(`Motion: live=${liveMotion.toFixed(2)}, ref=${refMotion.toFixed(2)}, ratio=${motionRatio.toFixed(2)}, raw=${rawScore}, final=${penalisedScore}`);
+  // Per-part breakdown along the chosen alignment
+  const partScores = hasPath ? partBreakdown(bestLive, ref, best.path, weights, profile.sigma) : null;
+  // Too little motion shows up as a weak movement part
+  if (partScores?.movement != null) partScores.movement = Math.min(partScores.movement, penalisedScore);
+  const offsets = hasPath ? wristOffsets(bestLive, ref, best.path) : null;
+  const locationHint = hasPath ? handLabelMismatch(bestLive, ref, best.path, locationLabel, "neutral") : null;
+  const orientationHint = hasPath ? handLabelMismatch(bestLive, ref, best.path, palmLabel) : null;
+  const expressionHint = hasPath && facialExpression ? expressionMismatch(bestLive, ref, best.path) : null;
+  // A missed nod or shake shows up as a weak head part
+  const headHint = missingHeadMovement(bestLiveFeats.slice(winStart, winEnd + 1), refFeats);
+  if (headHint && partScores?.head != null) partScores.head = Math.min(partScores.head, profile.headPartCap);
+  const finalScore = applyNonManualCaps(penalisedScore, partScores?.expression ?? null, headHint, profile);
+  const hand = useMirrored ? (refDominantHand === "right" ? "left" : "right") : refDominantHand;
+  const handCheck = hasPath
+    ? checkHands(bestLive, useMirrored ? live : mirrored, ref, best.path, !!forced, weights)
+    : null;
+  const tempo = hasPath
+    ? tempoMetrics(best.path, frameSeconds(liveFrames, bestIndices), frameSeconds(refFrames, ref.indices))
+    : null;
+  const trace = options.trace && hasPath
+    ? { ...componentTrace(bestLive, ref, best.path), motionRatio, headMissed: !!headHint }
+    : null;
+
+  console.log(`DTW scores: original=${resultOriginal.score}, mirrored=${resultMirrored.score}, using=${useMirrored ? 'mirrored' : 'original'}${forced ? ' (dominant hand)' : ''}`);
+  console.log(`Motion: live=${liveMotion.toFixed(2)}, ref=${refMotion.toFixed(2)}, ratio=${motionRatio.toFixed(2)}, raw=${rawScore}, final=${finalScore} (${profile.name})`);
 
   return {
     ...best,
-    score: penalisedScore,
+    score: finalScore,
     liveFeatureCount: liveFeats.length,
     refFeatureCount: refFeats.length,
+    window: liveWindow,
     mirrored: useMirrored,
+    hand,
+    handCheck,
     lowMotion,
+    partScores,
+    wristOffsets: offsets,
+    locationHint,
+    orientationHint,
+    expressionHint,
+    headHint,
+    tempo,
+    depth,
+    profile,
+    trace,
+  };
+}
+
+/**
+ * Compare live frames against several reference exemplars of one word
+ * (e.g. different signers, regional variants, left- and right-handed).
+ *
+ * Each exemplar is scored with compareDTW. Aggregation:
+ *   - "best": the score of the closest exemplar
+ *   - "consensus": mean of the better half of the exemplar scores, so
+ *     one variant the learner isn't attempting doesn't drag it down
+ * Part scores, hints and the window always come from the closest exemplar.
+ *
+ * @param {Array} liveFrames
+ * @param {Array<{id, label, refData}>} exemplars
+ * @param {Object} [options] - { aggregate: "best"|"consensus", ...compareDTW options }
+ * @returns {Object} compareDTW result of the closest exemplar, plus
+ *   { exemplar: { id, label }, exemplarScores: [{ id, label, score }], aggregate }
+ */
+export function compareExemplars(liveFrames, exemplars, options = {}) {
+  const { aggregate = "best", ...dtwOptions } = options;
+  if (!exemplars?.length) throw new Error("compareExemplars needs at least one exemplar");
+
+  let best = null;
+  let bestExemplar = null;
+  const exemplarScores = [];
+  for (const ex of exemplars) {
+    const refDominantHand = ex.refData.dominantHand || dtwOptions.refDominantHand;
+    const result = compareDTW(liveFrames, ex.refData.frames, { ...dtwOptions, refDominantHand });
+    exemplarScores.push({ id: ex.id, label: ex.label, score: result.score });
+    if (!best || result.score > best.score) {
+      best = result;
+      bestExemplar = ex;
+    }
+  }
+
+  let score = best.score;
+  if (aggregate === "consensus") {
+    const top = exemplarScores.map((e) => e.score).sort((a, b) => b - a)
+      .slice(0, Math.ceil(exemplarScores.length / 2));
+    score = Math.round(top.reduce((a, b) => a + b, 0) / top.length);
+  }
+
+  console.log(`Exemplars (${aggregate}):`, exemplarScores.map((e) => `${e.label}=${e.score}`).join(", "));
+
+  return {
+    ...best,
+    score,
+    exemplar: { id: bestExemplar.id, label: bestExemplar.label },
+    exemplarScores,
+    aggregate,
+  };
+}
+
+// ===========================================================
+// Recognition (rank the whole library against one attempt)
+// ===========================================================
+
+/**
+ * Distance whose distToScore is `score`, the inverse of distToScore.
+ */
+function scoreToDist(score, sigma = STANDARD.sigma) {
+  if (score >= 100) return 0;
+  if (score <= 0) return Infinity;
+  return sigma * Math.sqrt(2 * Math.log(100 / score));
+}
+
+/**
+ * Rank library words by DTW distance to one attempt: "what sign did I
+ * just do?". Every word is aligned end to end (trim idle frames first,
+ * see segmentSign) in both orientations, against its primary recording
+ * and each exemplar; a word's distance is its closest match.
+ *
+ * Distances are only comparable with the same features on every word,
+ * so depth is used only when the attempt and every recording have it,
+ * and facial expression (graded on some words only) is left out. An
+ * attempt that barely moved gets the motion penalty of compareDTW, and
+ * its distance is raised to that of the capped score, so it can't make
+ * a confident top list by standing still.
+ *
+ * Only the `top` words are kept, so each alignment is abandoned early as
+ * soon as it can no longer beat the current last place (see dtw).
+ *
+ * `frames` may be live frames or compact reference frames, so a new
+ * upload can be checked against existing signs.
+ *
+ * @param {Array} frames - the attempt
+ * @param {Array<{id, label, category, refData, exemplars?, scoring?}>} candidates
+ * @param {Object} [options] - { top, depth, dominantHand, profile, window, band }
+ * @returns {{ matches: Array<{ id, label, category, distance, score, mirrored, exemplar }>,
+ *             compared: number, abandoned: number }}
+ *   matches closest first; `exemplar` is { id, label } when an exemplar
+ *   matched better than the primary recording
+ */
+export function recognizeSign(frames, candidates, options = {}) {
+  const { top = 5, depth: depthMode = "auto", dominantHand = "auto",
+          window = DTW_DEFAULTS.window, band = DTW_DEFAULTS.band } = options;
+  const profile = resolveProfile(options.profile);
+  const weights = profileWeights(profile);
+  const compact = frames.some((f) => f.pose && f.pose.length < 25);
+  const processQuery = compact ? processRefFrames : processLiveFrames;
+  const recordingsOf = (cand) => [{ refData: cand.refData }, ...(cand.exemplars || [])]
+    .filter((rec) => rec.refData?.frames?.length);
+  const depth = depthMode !== false && hasDepth(frames)
+    && candidates.every((cand) => recordingsOf(cand).every((rec) => hasDepth(rec.refData.frames)));
+
+  const queries = [false, true].map((mirrored) => {
+    const seq = processQuery(mirrored ? mirrorLiveFrames(frames) : frames, depth);
+    seq.motion = computeMotion(seq.vectors);
+    return seq;
+  });
+
+  const ranked = [];
+  let compared = 0;
+  let abandoned = 0;
+  for (const cand of candidates) {
+    let best = null;
+
+    for (const rec of recordingsOf(cand)) {
+      const ref = processRefFrames(rec.refData.frames, depth);
+      if (ref.vectors.length < 2) continue;
+      const refMotion = computeMotion(ref.vectors);
+      const refHand = rec.refData.dominantHand || "right";
+
+      for (const mirrored of [false, true]) {
+        if (dominantHand !== "auto" && mirrored !== (dominantHand !== refHand)) continue;
+        const query = queries[Number(mirrored)];
+        if (query.vectors.length < 2) continue;
+
+        // No point finishing an alignment that can't make the top list
+        // (the motion penalty only ever raises the distance)
+        const lastPlace = ranked.length >= top ? ranked[top - 1].distance : Infinity;
+        const abandonAbove = Math.min(lastPlace, best?.distance ?? Infinity);
+        const result = dtw(query, ref, { window, band, abandonAbove, weights, sigma: profile.sigma });
+        compared++;
+        if (result.abandoned) {
+          abandoned++;
+          continue;
+        }
+        const score = applyMotionPenalty(result.score, query.motion, refMotion, profile.motionCaps);
+        const distance = score < result.score
+          ? Math.max(result.avgDistance, scoreToDist(score, profile.sigma))
+          : result.avgDistance;
+        if (!best || distance < best.distance) {
+          best = {
+            id: cand.id,
+            label: cand.label,
+            category: cand.category,
+            distance,
+            score,
+            mirrored,
+            exemplar: rec.id ? { id: rec.id, label: rec.label } : null,
+          };
+        }
+      }
+    }
+
+    if (!best) continue;
+    ranked.push(best);
+    ranked.sort((a, b) => a.distance - b.distance);
+    if (ranked.length > top) ranked.pop();
+  }
+
+  return { matches: ranked, compared, abandoned };
+}
+
+// ===========================================================
+// Confusable signs (did the attempt look more like another word?)
+// ===========================================================
+
+// Another word must beat the target by this much (and reach 1 star)
+const CONFUSION_MARGIN = 10;
+
+/**
+ * Check whether an attempt looked more like a different word than the
+ * one being practised, e.g. another sign in the same category.
+ *
+ * Each other word is scored with compareDTW (or compareExemplars when it
+ * has exemplars) using the same options. `part` is the body part where
+ * the other word matched better than the target by the widest margin,
+ * which is what tells the two signs apart.
+ *
+ * @param {Array} liveFrames
+ * @param {{ score, partScores }} target - compareDTW result for the word being practised
+ * @param {Array<{id, label, refData, exemplars?, scoring?}>} others - see library.js
+ * @param {Object} [options] - compareDTW options (facialExpression comes from each word)
+ * @returns {{ id, label, score, part }|null} the closest other word, or null
+ *   if none looked clearly more like the attempt
+ */
+export function findConfusableSign(liveFrames, target, others, options = {}) {
+  let best = null;
+  for (const other of others) {
+    if (!other.refData?.frames?.length) continue;
+    const otherOptions = {
+      ...options,
+      refDominantHand: other.refData.dominantHand || options.refDominantHand,
+      facialExpression: !!other.scoring?.facialExpression,
+    };
+    const result = other.exemplars?.length
+      ? compareExemplars(liveFrames, [{ id: "primary", label: "Primary", refData: other.refData }, ...other.exemplars],
+                         otherOptions)
+      : compareDTW(liveFrames, other.refData.frames, otherOptions);
+    if (!best || result.score > best.result.score) best = { other, result };
+  }
+
+  if (!best) return null;
+  const { other, result } = best;
+  console.log(`Closest other sign: ${other.label}=${result.score} (target ${target.score})`);
+  if (getStarRating(result.score, result.profile) < 1 || result.score < target.score + CONFUSION_MARGIN) return null;
+
+  let part = null;
+  if (target.partScores && result.partScores) {
+    let widest = 0;
+    for (const p of BODY_PARTS) {
+      const gap = (result.partScores[p] ?? 0) - (target.partScores[p] ?? 0);
+      if (result.partScores[p] != null && target.partScores[p] != null && gap > widest) {
+        widest = gap;
+        part = p;
+      }
+    }
+  }
+  return { id: other.id, label: other.label, score: result.score, part };
+}
+
+/**
+ * Running totals of computeMotion: entry k is the motion of the first k vectors.
+ */
+function cumulativeMotion(vectors) {
+  const totals = [0];
+  for (const vec of vectors) totals.push(totals[totals.length - 1] + computeMotion([vec]));
+  return totals;
+}
+
+// ===========================================================
+// Streaming match (live estimate while the learner signs)
+// ===========================================================
+
+const STREAM_DEFAULTS = {
+  onTrackScore: 50,   // running score counted as "on track"
+  completeScore: null, // full-sign score needed to finish early (default: 2 stars in the profile)
+  settleFrames: 5,    // frames the full-sign score must stop improving for
+  settleGain: 1,      // smaller gains in the full-sign score don't count as improving
+  motionFrames: 5,    // reference frames the on-track motion check covers at least
+};
+
+/**
+ * Online subsequence DTW against one reference, for feedback while the
+ * learner is still signing. Frames are pushed as they are recorded; each
+ * push adds one DTW row per orientation (original and mirrored), so the
+ * cost per frame is linear in the reference length.
+ *
+ * This is only an estimate: the final score still comes from compareDTW,
+ * which also applies the motion penalty and the per-part breakdown.
+ *
+ *   const matcher = createStreamingMatcher(refData.frames);
+ *   const { onTrack, complete } = matcher.push(frame);
+ *
+ * @param {Array} refFrames - reference [{pose, rightHand, leftHand}, ...]
+ * @param {Object} [options] - { depth, facialExpression, profile, onTrackScore, completeScore, settleFrames,
+ *                              settleGain, motionFrames } (see STREAM_DEFAULTS)
+ * @returns {{ push(frame): Object, estimate(): Object, reset(): void }}
+ *   where the estimate is { frames, score, progress, onTrack, complete, mirrored }
+ */
+export function createStreamingMatcher(refFrames, options = {}) {
+  const { depth: depthMode = "auto", facialExpression = false, onTrackScore, settleFrames, settleGain,
+          motionFrames } = { ...STREAM_DEFAULTS, ...options };
+  const profile = resolveProfile(options.profile);
+  const weights = profileWeights(profile);
+  const completeScore = options.completeScore ?? profile.stars[1];
+  const refDepth = depthMode !== false && hasDepth(refFrames);
+  const refs = {};  // depth flag → processed reference + cumulative motion
+  const refFor = (depth) => {
+    if (!refs[depth]) {
+      const ref = processRefFrames(refFrames, depth, facialExpression);
+      ref.motion = cumulativeMotion(ref.vectors);
+      refs[depth] = ref;
+    }
+    return refs[depth];
   };
+
+  let depth, orientations, frames, bestFull, sinceBest, current;
+
+  function reset() {
+    depth = null;   // decided by the first usable frame
+    orientations = [false, true].map((mirrored) => ({ mirrored, prev: null, headBaseline: null, row: null,
+                                                      count: 0, motion: [0] }));
+    frames = 0;
+    bestFull = 0;
+    sinceBest = 0;
+    current = { frames: 0, score: 0, progress: 0, onTrack: false, complete: false, mirrored: false };
+  }
+
+  // Add one live frame to an orientation's DTW row; returns the best partial match
+  function step(state, frame, ref) {
+    const feat = frameFeatures(frame, LIVE_UPPER, 25, depth, state.prev, facialExpression);
+    if (!feat) return null;
+    state.prev = feat;
+    const vec = feat.vector;
+    // No average yet while streaming: head angles are relative to the first frame
+    state.headBaseline = centerHeadPose([vec], state.headBaseline);
+    const conf = componentConfidence(frame, LIVE_UPPER);
+    const i = state.count++;
+    state.motion.push(state.motion[i] + computeMotion([vec]));
+
+    const m = ref.vectors.length;
+    const prev = state.row;
+    const row = { cost: new Float64Array(m), len: new Uint32Array(m),
+                  sum: new Float64Array(m), from: new Uint32Array(m) };
+    for (let j = 0; j < m; j++) {
+      const d = featureDistance(vec, ref.vectors[j], conf, ref.conf[j], weights);
+      let p = null, pj = j - 1;
+      if (j > 0) {
+        // Same predecessor choice as dtw(): diagonal, then up, then left
+        const dc = prev ? prev.cost[j - 1] : Infinity;
+        const uc = prev ? prev.cost[j] : Infinity;
+        const lc = row.cost[j - 1];
+        if (uc < dc && uc <= lc) { p = prev; pj = j; }
+        else if (lc < dc && lc < uc) p = row;
+        else p = prev;
+      }
+      if (!p) {
+        // Open begin: the match may start at any live frame
+        row.cost[j] = d; row.len[j] = 1; row.sum[j] = distToScore(d, profile.sigma); row.from[j] = i;
+      } else {
+        row.cost[j] = p.cost[pj] + d;
+        row.len[j] = p.len[pj] + 1;
+        row.sum[j] = p.sum[pj] + distToScore(d, profile.sigma);
+        row.from[j] = p.from[pj];
+      }
+    }
+    state.row = row;
+
+    // Furthest point reached in the reference: cheapest prefix per step (later wins ties)
+    let bestJ = 0, bestAvg = Infinity;
+    for (let j = 0; j < m; j++) {
+      const avg = row.cost[j] / row.len[j];
+      if (avg <= bestAvg) { bestAvg = avg; bestJ = j; }
+    }
+    // Standing still can't count as on track, same caps as compareDTW. The
+    // reference's motion is taken over its first few frames at least: a
+    // still learner matches the first frame best, which has no motion.
+    const liveMotion = state.motion[i + 1] - state.motion[row.from[bestJ]];
+    const refMotion = ref.motion[Math.min(m, Math.max(bestJ + 1, motionFrames))];
+    return {
+      score: applyMotionPenalty(row.sum[bestJ] / row.len[bestJ], liveMotion, refMotion, profile.motionCaps),
+      progress: (bestJ + 1) / m,
+    };
+  }
+
+  function push(frame) {
+    if (!frame?.pose) return current;
+    if (depth === null) depth = refDepth && hasDepth([frame]);
+    const ref = refFor(depth);
+    if (ref.vectors.length < 2) return current;
+
+    frames++;
+    let best = null;
+    for (const state of orientations) {
+      const input = state.mirrored ? mirrorLiveFrames([frame])[0] : frame;
+      const r = step(state, input, ref);
+      if (r && (!best || r.score > best.score)) best = { ...r, mirrored: state.mirrored };
+    }
+    if (!best) return current;
+
+    const full = Math.max(...orientations.map((state) => (state.row ? fullMatch(state, ref) : 0)));
+    // Holding the last pose keeps nudging the average up a little
+    if (full >= bestFull + settleGain) sinceBest = 0;
+    else sinceBest++;
+    bestFull = Math.max(bestFull, full);
+
+    current = {
+      frames,
+      score: Math.round(best.score),
+      progress: Math.round(best.progress * 100) / 100,
+      onTrack: best.score >= onTrackScore,
+      complete: bestFull >= completeScore && sinceBest >= settleFrames,
+      mirrored: best.mirrored,
+    };
+    return current;
+  }
+
+  // Score of the whole reference matched so far in one orientation
+  function fullMatch(state, ref) {
+    const m = ref.vectors.length;
+    const { row } = state;
+    const start = row.from[m - 1];
+    if (state.count - start < Math.ceil(m * MIN_WINDOW_RATIO)) return 0;
+    const liveMotion = state.motion[state.count] - state.motion[start];
+    return applyMotionPenalty(row.sum[m - 1] / row.len[m - 1], liveMotion, ref.motion[m], profile.motionCaps);
+  }
+
+  reset();
+  return { push, estimate: () => current, reset };
 }
 
 /**
- * Star rating from score.
- * 0 stars: 0-30, 1 star: 31-60, 2 stars: 61-85, 3 stars: 86-100
+ * Star rating from score, using the profile's thresholds.
+ * Standard profile: 0 stars 0-30, 1 star 31-60, 2 stars 61-69, 3 stars 70-100.
+ *
+ * @param {number} score
+ * @param {string|Object} [profile] - scoring profile (see scoringProfiles.js)
  */
-export function getStarRating(score) {
-  if (score >= 70) return 3;
-  if (score >= 61) return 2;
-  if (score >= 31) return 1;
+export function getStarRating(score, profile) {
+  const [one, two, three] = resolveProfile(profile).stars;
+  if (score >= three) return 3;
+  if (score >= two) return 2;
+  if (score >= one) return 1;
   return 0;
 }
 
+// Praise and tips per body part, used to name the strongest and weakest part
+const PART_PRAISE = {
+  arms: "Your arm positions were great",
+  rightHand: "Your right handshape was great",
+  leftHand: "Your left handshape was great",
+  location: "Your hand placement was great",
+  palm: "Your palm direction was great",
+  movement: "Your timing was great",
+  head: "Your head movement was great",
+  face: "Your mouth shapes were great",
+  expression: "Your eyebrows and eyes matched the video really well",
+};
+
+const PART_TIPS = {
+  rightHand: "try copying the right handshape more closely",
+  leftHand: "try copying the left handshape more closely",
+  location: "try placing your hands where the video shows",
+  palm: "try turning your hands the way the video shows",
+  movement: "try matching the size and speed of the movement",
+  head: "try moving your head like in the video",
+  face: "try copying the mouth shape in the video too",
+  expression: "try copying the eyebrows and eyes in the video too",
+};
+
+// Wrist offset (normalised body units) before we suggest a direction
+const ARM_OFFSET_HINT = 0.15;
+
+/**
+ * Tip for the arms, using wrist offsets to suggest a direction.
+ * Sides are flipped when the learner was matched mirrored.
+ */
+function armTip(offsets, mirrored) {
+  if (!offsets) return "try matching the arm shape in the video";
+  const side = Math.abs(offsets.right[1]) >= Math.abs(offsets.left[1]) ? "right" : "left";
+  const dy = offsets[side][1];
+  const learnerSide = mirrored ? (side === "right" ? "left" : "right") : side;
+  if (dy > ARM_OFFSET_HINT) return `try moving your ${learnerSide} arm higher`;
+  if (dy < -ARM_OFFSET_HINT) return `try keeping your ${learnerSide} arm a little lower`;
+  return "try matching the arm shape in the video";
+}
+
+/**
+ * Tip for hand location, e.g. "your right hand should be near your chin".
+ */
+function locationTip(hint, mirrored) {
+  if (!hint) return PART_TIPS.location;
+  const learnerSide = mirrored ? (hint.hand === "right" ? "left" : "right") : hint.hand;
+  return `your ${learnerSide} hand should be near your ${hint.expected}`;
+}
+
+// How to describe each palm direction (see palmLabel)
+const PALM_TIPS = {
+  camera: "to face the camera",
+  signer: "to face towards you",
+  up: "to face up",
+  down: "to face the floor",
+  sideways: "on its side",
+};
+
+// What to do for each expression feature: [reference shows more, shows less]
+const EXPRESSION_TIPS = {
+  browRaise: ["try raising your eyebrows", "try keeping your eyebrows down"],
+  browFurrow: ["try lowering your eyebrows into a frown", "try relaxing your eyebrows"],
+  eyeWide: ["try opening your eyes wide", "try relaxing your eyes"],
+  eyeSquint: ["try narrowing your eyes", "try opening your eyes a little more"],
+  cheekPuff: ["try puffing out your cheeks", "try keeping your cheeks relaxed"],
+  jawOpen: ["try opening your mouth more", "try keeping your mouth more closed"],
+  mouthPucker: ["try pursing your lips", "try relaxing your lips"],
+  mouthFunnel: ["try rounding your lips", "try relaxing your lips"],
+  mouthSmile: ["try smiling", "try a more neutral mouth"],
+  mouthFrown: ["try turning your mouth down", "try a more neutral mouth"],
+};
+
+// Verb for each head movement (see HEAD_MOVEMENTS)
+const HEAD_TIPS = { nod: "nodding", shake: "shaking", tilt: "tilting" };
+
+/**
+ * Tip for the head, e.g. "try nodding your head like in the video".
+ */
+function headTip(hint) {
+  if (!hint) return PART_TIPS.head;
+  return `try ${HEAD_TIPS[hint.movement]} your head like in the video`;
+}
+
+/**
+ * Tip for the face: the expression the learner missed most, when known.
+ */
+function faceTip(hint) {
+  if (!hint) return PART_TIPS.expression;
+  return `${EXPRESSION_TIPS[hint.feature][hint.direction === "more" ? 0 : 1]} like in the video`;
+}
+
+/**
+ * Tip for palm orientation, e.g. "try turning your right palm to face the floor".
+ */
+function palmTip(hint, mirrored) {
+  if (!hint) return PART_TIPS.palm;
+  const learnerSide = mirrored ? (hint.hand === "right" ? "left" : "right") : hint.hand;
+  return `try turning your ${learnerSide} palm ${PALM_TIPS[hint.expected]}`;
+}
+
+// The learner's own hand for a hand part of a mirrored match
+function learnerPart(part, mirrored) {
+  if (!mirrored) return part;
+  return part === "rightHand" ? "leftHand" : part === "leftHand" ? "rightHand" : part;
+}
+
+/**
+ * One sentence naming the strongest and weakest body part,
+ * e.g. "Your handshape was great, try moving your right arm higher."
+ * Returns { tip, weakest } or null when there is no breakdown.
+ */
+function partFeedback(dtwResult) {
+  const { partScores, wristOffsets: offsets, locationHint, orientationHint, expressionHint, headHint,
+          mirrored } = dtwResult;
+  if (!partScores) return null;
+
+  const scored = BODY_PARTS.filter((p) => partScores[p] !== null);
+  if (scored.length === 0) return null;
+  const weakest = scored.reduce((a, b) => (partScores[b] < partScores[a] ? b : a));
+  const strongest = scored.reduce((a, b) => (partScores[b] > partScores[a] ? b : a));
+
+  const tip = weakest === "arms" ? armTip(offsets, mirrored)
+    : weakest === "location" ? locationTip(locationHint, mirrored)
+    : weakest === "palm" ? palmTip(orientationHint, mirrored)
+    : weakest === "expression" ? faceTip(expressionHint)
+    : weakest === "head" ? headTip(headHint)
+    : PART_TIPS[learnerPart(weakest, mirrored)];
+  const sentence = strongest !== weakest && partScores[strongest] >= 80
+    ? `${PART_PRAISE[learnerPart(strongest, mirrored)]}, ${tip}.`
+    : `${tip}.`;
+  return { tip: sentence.charAt(0).toUpperCase() + sentence.slice(1), weakest };
+}
+
+// Where in the sign each tempo section is (see TEMPO_SECTIONS)
+const SECTION_WORDS = { start: "at the start", middle: "in the middle", end: "at the end" };
+
+/**
+ * Tip about tempo, e.g. "Slow down a little in the middle."
+ * Rushing is pointed out first, since it's the most common.
+ */
+function tempoTip(tempo) {
+  if (!tempo) return null;
+  if (tempo.speed > TEMPO_FAST) return "You signed faster than the video. Try slowing down a little.";
+  if (tempo.rushed.length) return `Slow down a little ${SECTION_WORDS[tempo.rushed[0]]}.`;
+  if (tempo.pauses.length) return `Try to keep the sign flowing ${SECTION_WORDS[tempo.pauses[0].section]}, without stopping.`;
+  if (tempo.speed < TEMPO_SLOW) return "You can go a little faster. Try to keep the sign flowing.";
+  if (tempo.dragging.length) return `Try going a little faster ${SECTION_WORDS[tempo.dragging[0]]}.`;
+  return null;
+}
+
+// What to watch in the video for each body part when the attempt looked like another sign
+const CONFUSION_TIPS = {
+  arms: "watch the arm position",
+  rightHand: "watch the handshape",
+  leftHand: "watch the handshape",
+  location: "watch the hand position",
+  palm: "watch which way the palm faces",
+  movement: "watch the movement",
+  head: "watch the head movement",
+  face: "watch the face",
+  expression: "watch the facial expression",
+};
+
+/**
+ * Tip when the attempt looked more like another word (see findConfusableSign),
+ * e.g. 'That looked more like "Thank you" — watch the hand position.'
+ */
+function confusionTip(confusedWith) {
+  if (!confusedWith) return null;
+  const watch = CONFUSION_TIPS[confusedWith.part] || "watch the video once more";
+  return `That looked more like "${confusedWith.label}" — ${watch}.`;
+}
+
+/**
+ * Tip when the learner led with the other hand or switched hands.
+ */
+function handTip({ hand, handCheck }) {
+  if (!handCheck || !hand) return null;
+  if (handCheck.wrongHand) {
+    const other = hand === "right" ? "left" : "right";
+    return `It looks like you used your ${other} hand. Try leading with your ${hand} hand.`;
+  }
+  if (handCheck.mixed) {
+    return `You switched hands part of the way through. Try keeping your ${hand} hand in the lead the whole time.`;
+  }
+  return null;
+}
+
 /**
  * Generate encouraging feedback tips based on DTW results.
  * All language is positive and supportive (designed for Endeavour Foundation participants).
  *
- * Tiers: 0 stars (0-30), 1 star (31-60), 2 stars (61-85), 3 stars (86-100)
+ * Tiers follow the star rating of the scoring profile (the one the
+ * result was scored with unless `profile` is given); standard profile:
+ * 0 stars (0-30), 1 star (31-60), 2 stars (61-69), 3 stars (70-100)
+ *
+ * Below 3 stars, one tip names the strongest and weakest body part
+ * from the per-part breakdown; `focus` is the weakest part.
+ * Signing with the other hand, or switching hands mid-sign, is always
+ * pointed out, and from 1 star up so is signing too fast, too slow or
+ * unevenly.
+ *
+ * With `dtwResult.confusedWith` (see findConfusableSign), the tip names
+ * the word the attempt looked more like instead of the weakest part.
  */
-export function generateFeedback(dtwResult) {
+export function generateFeedback(dtwResult, profile = dtwResult.profile) {
   const tips = [];
   const { score, pathScores, lowMotion } = dtwResult;
+  const stars = getStarRating(score, profile);
+  const parts = partFeedback(dtwResult);
+  const confusion = confusionTip(dtwResult.confusedWith);
 
   if (dtwResult.liveFeatureCount < 3) {
     return { tips: ["Let's make sure your upper body is nice and visible. Try stepping back a little!"] };
@@ -546,10 +2301,10 @@ export function generateFeedback(dtwResult) {
     return { tips };
   }
 
-  if (score >= 86) {
+  if (stars === 3) {
     // 3 stars
     tips.push("Amazing! Perfect sign!");
-  } else if (score >= 61) {
+  } else if (stars === 2) {
     // 2 stars
     tips.push("Great signing! Almost perfect!");
     if (pathScores && pathScores.length > 0) {
@@ -563,16 +2318,25 @@ export function generateFeedback(dtwResult) {
         tips.push("Watch the beginning part once more.");
       }
     }
-  } else if (score >= 31) {
+    if (parts) tips.push(parts.tip);
+  } else if (stars === 1) {
     // 1 star
     tips.push("Good try! You're getting closer.");
-    tips.push("Try matching the speed and shape a little more.");
+    tips.push(confusion || (parts ? parts.tip : "Try matching the speed and shape a little more."));
   } else {
     // 0 stars
     tips.push("Let's try again! Watch the video and copy the movements.");
+    if (confusion) tips.push(confusion);
+    else if (parts) tips.push(parts.tip);
   }
 
-  return { tips };
+  const handMsg = handTip(dtwResult);
+  if (handMsg) tips.push(handMsg);
+  // At 0 stars the alignment says little about timing
+  const tempoMsg = stars >= 1 ? tempoTip(dtwResult.tempo) : null;
+  if (tempoMsg) tips.push(tempoMsg);
+
+  return { tips, focus: parts?.weakest ?? null };
 }
 
 /**
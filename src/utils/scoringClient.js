@@ -0,0 +1,172 @@
+/**
+ * Promise-based client for the scoring worker (workers/scoringWorker.js).
+ *
+ * Scoring runs DTW twice (original + mirrored), which can take long
+ * enough to freeze the UI. Every call here runs in a shared Web Worker
+ * and accepts an AbortSignal:
+ *
+ *   const controller = new AbortController();
+ *   const result = await compareDTWAsync(live, ref, { subsequence: true },
+ *                                        { signal: controller.signal });
+ *   controller.abort(); // rejects with an AbortError
+ *
+ * A worker can't be interrupted mid-computation, so aborting terminates
+ * it and starts a fresh one; other queued calls are re-sent.
+ * Falls back to the main thread where Workers are unavailable.
+ */
+
+import { compareDTW, compareExemplars, recognizeSign, findConfusableSign } from "./poseComparison";
+import "./experimentalFeatures";
+
+// Main-thread fallbacks, keyed like the worker's METHODS
+const FALLBACK = {
+  compareDTW,
+  compareExemplars,
+  recognizeSign,
+  findConfusableSign,
+};
+
+let worker = null;
+let nextId = 1;
+const pending = new Map(); // id → { message, resolve, reject }
+
+function abortError() {
+  return new DOMException("Scoring cancelled", "AbortError");
+}
+
+function createWorker() {
+  const w = new Worker(new URL("../workers/scoringWorker.js", import.meta.url), { type: "module" });
+
+  w.onmessage = (e) => {
+    const { id, result, error } = e.data;
+    const job = pending.get(id);
+    if (!job) return; // cancelled
+    pending.delete(id);
+    if (error) job.reject(new Error(error));
+    else job.resolve(result);
+  };
+
+  w.onerror = (e) => {
+    console.error("Scoring worker failed:", e);
+    const err = new Error(e.message || "Scoring worker failed");
+    for (const job of pending.values()) job.reject(err);
+    pending.clear();
+    w.terminate();
+    if (worker === w) worker = null;
+  };
+
+  return w;
+}
+
+function getWorker() {
+  if (!worker) worker = createWorker();
+  return worker;
+}
+
+/**
+ * Kill the (possibly busy) worker and re-send whatever is still queued.
+ */
+function restartWorker() {
+  if (worker) worker.terminate();
+  worker = null;
+  if (pending.size === 0) return;
+  const w = getWorker();
+  for (const job of pending.values()) w.postMessage(job.message);
+}
+
+/**
+ * Call a scoring method in the worker.
+ *
+ * @param {string} method - name in the worker's METHODS table
+ * @param {Array} args - structured-cloneable arguments
+ * @param {AbortSignal} [signal]
+ * @returns {Promise<any>}
+ */
+function run(method, args, signal) {
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  if (typeof Worker === "undefined") {
+    return new Promise((resolve) => resolve(FALLBACK[method](...args)));
+  }
+
+  return new Promise((resolve, reject) => {
+    const id = nextId++;
+    const message = { id, method, args };
+
+    const onAbort = () => {
+      if (!pending.has(id)) return;
+      pending.delete(id);
+      reject(abortError());
+      restartWorker();
+    };
+
+    pending.set(id, {
+      message,
+      resolve: (result) => { signal?.removeEventListener("abort", onAbort); resolve(result); },
+      reject: (err) => { signal?.removeEventListener("abort", onAbort); reject(err); },
+    });
+    signal?.addEventListener("abort", onAbort, { once: true });
+
+    getWorker().postMessage(message);
+  });
+}
+
+/**
+ * compareDTW (see poseComparison.js) in the scoring worker.
+ *
+ * @param {Array} liveFrames
+ * @param {Array} refFrames
+ * @param {Object} [options] - passed through to compareDTW
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<Object>} the compareDTW result
+ */
+export function compareDTWAsync(liveFrames, refFrames, options = {}, { signal } = {}) {
+  return run("compareDTW", [liveFrames, refFrames, options], signal);
+}
+
+/**
+ * compareExemplars (see poseComparison.js) in the scoring worker.
+ *
+ * @param {Array} liveFrames
+ * @param {Array<{id, label, refData}>} exemplars
+ * @param {Object} [options] - passed through to compareExemplars
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<Object>} the compareExemplars result
+ */
+export function compareExemplarsAsync(liveFrames, exemplars, options = {}, { signal } = {}) {
+  return run("compareExemplars", [liveFrames, exemplars, options], signal);
+}
+
+/**
+ * recognizeSign (see poseComparison.js) in the scoring worker.
+ *
+ * @param {Array} frames
+ * @param {Array<{id, label, category, refData}>} candidates - see library.js
+ * @param {Object} [options] - passed through to recognizeSign
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<Object>} the recognizeSign result
+ */
+export function recognizeSignAsync(frames, candidates, options = {}, { signal } = {}) {
+  return run("recognizeSign", [frames, candidates, options], signal);
+}
+
+/**
+ * findConfusableSign (see poseComparison.js) in the scoring worker.
+ *
+ * @param {Array} liveFrames
+ * @param {{ score, partScores }} target - result for the word being practised
+ * @param {Array<{id, label, refData}>} others - see library.js
+ * @param {Object} [options] - passed through to findConfusableSign
+ * @param {{ signal?: AbortSignal }} [opts]
+ * @returns {Promise<Object|null>} the findConfusableSign result
+ */
+export function findConfusableSignAsync(liveFrames, target, others, options = {}, { signal } = {}) {
+  return run("findConfusableSign", [liveFrames, target, others, options], signal);
+}
+
+/**
+ * True for the rejection produced by an aborted call.
+ */
+export function isAbortError(e) {
+  return e?.name === "AbortError";
+}
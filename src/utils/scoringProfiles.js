@@ -0,0 +1,95 @@
+/**
+ * Scoring profiles: how strict scoring is for a group of learners.
+ *
+ * A profile bundles the parameters poseComparison.js scores with:
+ *
+ *   sigma          - width of the distance → score curve (see distToScore);
+ *                    larger is more forgiving
+ *   weights        - weights by feature name (see registerFeature); missing
+ *                    features keep their default weight
+ *   motionCaps     - [motion ratio below, score cap] pairs for learners who
+ *                    barely moved (see applyMotionPenalty), lowest ratio first
+ *   expressionCaps - [expression part score below, score cap] pairs for
+ *                    words that grade facial expression, lowest first
+ *   headCap        - score cap when a nod, shake or tilt was left out
+ *   headPartCap    - head part score cap when it was left out
+ *   stars          - minimum score for 1, 2 and 3 stars
+ *
+ * "standard" is the original behaviour. A learner's profile lives in
+ * their settings (scoringProfile) and a word can override it
+ * (scoring.profile). Either may be a profile name or a custom profile
+ * object such as { base: "standard", sigma: 1 }, whose missing
+ * parameters come from `base`.
+ */
+
+export const SCORING_PROFILES = {
+  gentle: {
+    label: "Gentle",
+    description: "Forgiving scoring for beginners and learners who find fine hand detail hard",
+    sigma: 1.1,
+    weights: { rightFingers: 2.0, leftFingers: 2.0, palm: 1.0, expression: 1.5 },
+    motionCaps: [[0.2, 12], [0.4, 24], [0.6, 45]],
+    expressionCaps: [[40, 45], [65, 61]],
+    headCap: 61,
+    headPartCap: 45,
+    stars: [25, 50, 62],
+  },
+  standard: {
+    label: "Standard",
+    description: "The default for most learners",
+    sigma: 0.9,
+    weights: {},
+    motionCaps: [[0.3, 15], [0.5, 30], [0.7, 55]],
+    expressionCaps: [[50, 55], [75, 69]],
+    headCap: 69,
+    headPartCap: 40,
+    stars: [31, 61, 70],
+  },
+  strict: {
+    label: "Strict",
+    description: "Close matching of handshape and hand position for confident signers",
+    sigma: 0.75,
+    weights: { rightFingers: 3.0, leftFingers: 3.0, location: 2.5, palm: 2.0 },
+    motionCaps: [[0.4, 15], [0.6, 39], [0.8, 65]],
+    expressionCaps: [[60, 65], [80, 84]],
+    headCap: 84,
+    headPartCap: 30,
+    stars: [40, 70, 85],
+  },
+};
+
+export const DEFAULT_PROFILE = "standard";
+
+/**
+ * Full parameter set for a profile name or custom profile object.
+ * Unknown names fall back to the default profile. Resolving an already
+ * resolved profile returns the same parameters.
+ *
+ * @param {string|Object} [profile]
+ * @returns {Object} { name, label, sigma, weights, motionCaps, expressionCaps, headCap, headPartCap,
+ *   stars, ... }
+ */
+export function resolveProfile(profile = DEFAULT_PROFILE) {
+  if (profile && typeof profile === "object") {
+    const base = SCORING_PROFILES[profile.base] || SCORING_PROFILES[DEFAULT_PROFILE];
+    return {
+      ...base,
+      label: "Custom",
+      ...profile,
+      name: profile.name || "custom",
+      weights: { ...base.weights, ...profile.weights },
+    };
+  }
+  const name = SCORING_PROFILES[profile] ? profile : DEFAULT_PROFILE;
+  return { name, ...SCORING_PROFILES[name] };
+}
+
+/**
+ * The profile to score a word with: the word's own, else the learner's.
+ *
+ * @param {Object} word - with optional scoring.profile
+ * @param {string|Object} [learnerProfile] - from settings
+ */
+export function activeProfile(word, learnerProfile) {
+  return resolveProfile(word?.scoring?.profile || learnerProfile || DEFAULT_PROFILE);
+}
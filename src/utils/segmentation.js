@@ -0,0 +1,159 @@
+/**
+ * Sign segmentation from motion energy.
+ *
+ * Finds the rest → sign → rest boundaries in a recording by tracking how
+ * fast the wrists move. Used to trim idle heads and tails off reference
+ * videos (processVideo), to trim recorded attempts before scoring, and
+ * to start the practice timer when the learner actually starts moving.
+ *
+ * Works with both frame formats:
+ *   - live frames: full 33-point pose, time in `_t` (ms)
+ *   - reference frames: compact 17-point pose, time in `t` (seconds)
+ *
+ * Energy is wrist speed in shoulder widths per second, so it doesn't
+ * depend on how far the signer stands from the camera or on the frame rate.
+ */
+
+// [leftShoulder, rightShoulder, leftWrist, rightWrist] per pose format
+const FULL_POSE = [11, 12, 15, 16];
+const COMPACT_POSE = [4, 3, 8, 7];
+
+const SEGMENT_DEFAULTS = {
+  minEnergy: 0.4,   // shoulder widths per second that always count as moving
+  relative: 0.25,   // threshold between rest and peak energy
+  minFrames: 2,     // consecutive moving frames needed to count as motion
+  padding: 2,       // frames kept either side of the detected sign
+};
+
+const DEFAULT_FRAME_SECONDS = 0.1;
+
+function frameTime(frame) {
+  if (frame._t != null) return frame._t / 1000;
+  if (frame.t != null) return frame.t;
+  return null;
+}
+
+// Wrist positions normalised by shoulder width, or null if the pose is missing
+function wrists(frame) {
+  const pose = frame.pose;
+  if (!pose || pose.length < 17) return null;
+  const [ls, rs, lw, rw] = pose.length >= 25 ? FULL_POSE : COMPACT_POSE;
+  const width = Math.hypot(pose[ls][0] - pose[rs][0], pose[ls][1] - pose[rs][1]);
+  if (width < 1e-6) return null;
+  return [
+    [pose[lw][0] / width, pose[lw][1] / width],
+    [pose[rw][0] / width, pose[rw][1] / width],
+  ];
+}
+
+/**
+ * Wrist speed between two frames (the faster wrist), in shoulder widths per second.
+ */
+function frameEnergy(prev, frame) {
+  const a = wrists(prev), b = wrists(frame);
+  if (!a || !b) return 0;
+  const t0 = frameTime(prev), t1 = frameTime(frame);
+  const dt = t0 != null && t1 != null && t1 > t0 ? t1 - t0 : DEFAULT_FRAME_SECONDS;
+  const left = Math.hypot(b[0][0] - a[0][0], b[0][1] - a[0][1]);
+  const right = Math.hypot(b[1][0] - a[1][0], b[1][1] - a[1][1]);
+  return Math.max(left, right) / dt;
+}
+
+/**
+ * Motion energy per frame, smoothed over 3 frames.
+ * Entry 0 is always 0 (no previous frame).
+ *
+ * @param {Array} frames
+ * @returns {number[]}
+ */
+export function motionEnergy(frames) {
+  const raw = frames.map((f, i) => (i === 0 ? 0 : frameEnergy(frames[i - 1], f)));
+  return raw.map((_, i) => {
+    const win = raw.slice(Math.max(1, i - 1), i + 2);
+    return win.length ? win.reduce((a, b) => a + b, 0) / win.length : 0;
+  });
+}
+
+function percentile(values, p) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted[Math.min(sorted.length - 1, Math.floor(p * sorted.length))];
+}
+
+/**
+ * Find the signing part of a recording.
+ *
+ * The threshold adapts to the recording (a quarter of the way from its
+ * rest level to its peak), but is never below `minEnergy`, so jitter in a
+ * still recording doesn't count as a sign.
+ *
+ * @param {Array} frames - live or reference frames
+ * @param {Object} [options] - { minEnergy, relative, minFrames, padding }
+ * @returns {{ start: number, end: number, active: boolean, threshold: number }}
+ *   frame indices (inclusive); `active` is false if no sign was found,
+ *   in which case start/end cover the whole recording
+ */
+export function segmentSign(frames, options = {}) {
+  const { minEnergy, relative, minFrames, padding } = { ...SEGMENT_DEFAULTS, ...options };
+  const whole = { start: 0, end: Math.max(0, frames.length - 1), active: false, threshold: minEnergy };
+  if (frames.length < minFrames + 1) return whole;
+
+  const energy = motionEnergy(frames);
+  const rest = percentile(energy.slice(1), 0.2);
+  const peak = percentile(energy.slice(1), 0.9);
+  const threshold = Math.max(minEnergy, rest + relative * (peak - rest));
+
+  // First and last runs of at least minFrames moving frames
+  let start = -1, end = -1, run = 0;
+  for (let i = 0; i < energy.length; i++) {
+    run = energy[i] >= threshold ? run + 1 : 0;
+    if (run >= minFrames) {
+      if (start < 0) start = i - run + 1;
+      end = i;
+    }
+  }
+  if (start < 0) return { ...whole, threshold };
+
+  return {
+    start: Math.max(0, start - padding),
+    end: Math.min(frames.length - 1, end + padding),
+    active: true,
+    threshold,
+  };
+}
+
+/**
+ * Detects when the learner starts moving, one frame at a time.
+ * Uses the fixed `minEnergy` threshold, since there's no peak to compare
+ * against yet.
+ *
+ *   const onset = createOnsetDetector();
+ *   if (onset.push(frame)) startTimer(onset.time());
+ *
+ * @param {Object} [options] - { minEnergy, minFrames }
+ * @returns {{ push(frame): boolean, time(): number|null }}
+ *   push returns true once motion has started; time() is when it
+ *   started, in the frames' own clock (ms for live frames)
+ */
+export function createOnsetDetector(options = {}) {
+  const { minEnergy, minFrames } = { ...SEGMENT_DEFAULTS, ...options };
+  let prev = null;
+  let run = [];
+  let onset = null;
+
+  return {
+    push(frame) {
+      if (onset) return true;
+      if (prev) {
+        if (frameEnergy(prev, frame) >= minEnergy) run.push(prev);
+        else run = [];
+        if (run.length >= minFrames) onset = run[0];
+      }
+      prev = frame;
+      return !!onset;
+    },
+    time() {
+      if (!onset) return null;
+      return onset._t ?? onset.t ?? null;
+    },
+  };
+}
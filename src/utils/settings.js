@@ -0,0 +1,96 @@
+/**
+ * Learner settings, kept in localStorage so they survive reloads.
+ *
+ *   liveFeedback - show the "on track" indicator while practising
+ *   autoFinish   - end practice as soon as the whole sign was matched,
+ *                  instead of waiting for the timer
+ *   startOnMotion - start the practice timer when the learner starts
+ *                   moving rather than straight after the countdown
+ *   dominantHand  - "right", "left" or "auto" (detected from the hand
+ *                   used in recent attempts, see resolveDominantHand)
+ *   handHistory   - hands the learner led with in recent attempts
+ *   similarSigns  - on a low score, check whether the attempt looked
+ *                   more like another sign in the same category
+ *   scoringProfile - how strict scoring is: "gentle", "standard" or
+ *                    "strict" (see scoringProfiles.js), or a calibrated
+ *                    profile object; a word's own profile takes precedence
+ *   poseModel     - MediaPipe pose model: "lite", "full" or "heavy"
+ *                   (more accurate but slower)
+ *   delegate      - where MediaPipe runs: "GPU", or "CPU" for devices whose
+ *                   GPU fails (GPU falls back to CPU by itself when it can't
+ *                   start, see mediapipe.js)
+ *   smoothing     - smooth landmark jitter over time (One Euro filter, see
+ *                   smoothing.js), for live frames and reference data alike
+ *   smoothingFilter - filter parameters overriding ONE_EURO_DEFAULTS
+ *                     ({ minCutoff, beta, dCutoff })
+ */
+
+const STORAGE_KEY = "magic-mirror-settings";
+
+const DEFAULTS = {
+  liveFeedback: true,
+  autoFinish: true,
+  startOnMotion: true,
+  dominantHand: "auto",
+  handHistory: [],
+  similarSigns: true,
+  scoringProfile: "standard",
+  poseModel: "lite",
+  delegate: "GPU",
+  smoothing: true,
+  smoothingFilter: {},
+};
+
+// Recent attempts kept for dominant-hand detection, and how many must agree
+const HAND_HISTORY_SIZE = 5;
+const HAND_DETECT_MIN = 3;
+
+function load() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch {
+    return {};
+  }
+}
+
+export function getSettings() {
+  return { ...DEFAULTS, ...load() };
+}
+
+export function getSetting(key) {
+  return getSettings()[key];
+}
+
+export function setSetting(key, value) {
+  const settings = { ...load(), [key]: value };
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(settings));
+  } catch (e) {
+    console.warn("Failed to save settings:", e);
+  }
+  return { ...DEFAULTS, ...settings };
+}
+
+/**
+ * Remember which hand the learner led with in an attempt.
+ */
+export function recordHandUsed(hand) {
+  const history = [...getSetting("handHistory"), hand].slice(-HAND_HISTORY_SIZE);
+  return setSetting("handHistory", history);
+}
+
+/**
+ * The learner's dominant hand for scoring: the chosen one, or with "auto"
+ * the hand used in at least HAND_DETECT_MIN recent attempts, all but one
+ * of which must agree. Stays "auto" (score both ways) until then.
+ */
+export function resolveDominantHand(settings = getSettings()) {
+  if (settings.dominantHand !== "auto") return settings.dominantHand;
+  const history = settings.handHistory;
+  if (history.length < HAND_DETECT_MIN) return "auto";
+  for (const hand of ["right", "left"]) {
+    const count = history.filter((h) => h === hand).length;
+    if (count >= HAND_DETECT_MIN && count >= history.length - 1) return hand;
+  }
+  return "auto";
+}
@@ -0,0 +1,139 @@
+/**
+ * Temporal smoothing of landmarks with the One Euro filter (Casiez et al.,
+ * CHI 2012): a low-pass filter whose cutoff rises with speed, so landmarks
+ * at rest stop jittering while fast movements keep up without lag.
+ *
+ * Detection jitter makes the skeleton overlay shake and adds to the
+ * velocity features and motion energy, so live frames are smoothed as they
+ * are detected (useMediaPipe):
+ *
+ *   const smoother = createLandmarkSmoother();
+ *   const frame = smoother.smooth(detectFrame(video, t), t);
+ *
+ * Reference data is stored unsmoothed and smoothed the same way when it is
+ * scored (prepareReference), so smoothed attempts are never compared with
+ * raw references and changing the setting applies to every reference.
+ *
+ * Whether it runs is the `smoothing` setting, the filter parameters the
+ * `smoothingFilter` setting (see settings.js).
+ */
+
+import { getSettings } from "./settings";
+
+// Landmark coordinates are normalised to the image (0-1), speeds in units/s
+export const ONE_EURO_DEFAULTS = {
+  minCutoff: 1.5, // Hz, cutoff at rest: lower is smoother but lags more
+  beta: 10,       // how fast the cutoff rises with speed
+  dCutoff: 1.0,   // Hz, cutoff for the speed estimate
+};
+
+// Frame parts smoothed, each an array of [x, y(, z)] landmarks
+const PARTS = ["pose", "rightHand", "leftHand", "face"];
+
+// A longer gap between frames starts the filters over
+const MAX_GAP_MS = 500;
+
+const alpha = (cutoff, dt) => 1 / (1 + 1 / (2 * Math.PI * cutoff * dt));
+
+/**
+ * One Euro filter for a single value.
+ *
+ * @param {Object} [options] - see ONE_EURO_DEFAULTS
+ * @returns {function(number, number): number} filter(value, dt) with dt in
+ *   seconds since the previous value
+ */
+export function createOneEuroFilter(options = {}) {
+  const { minCutoff, beta, dCutoff } = { ...ONE_EURO_DEFAULTS, ...options };
+  let prev = null;
+  let prevSpeed = 0;
+
+  return (value, dt) => {
+    if (prev === null || !(dt > 0)) {
+      prev = value;
+      prevSpeed = 0;
+      return value;
+    }
+    const a = alpha(dCutoff, dt);
+    const speed = a * ((value - prev) / dt) + (1 - a) * prevSpeed;
+    const cutoff = minCutoff + beta * Math.abs(speed);
+    const filtered = alpha(cutoff, dt) * value + (1 - alpha(cutoff, dt)) * prev;
+    prev = filtered;
+    prevSpeed = speed;
+    return filtered;
+  };
+}
+
+/**
+ * Smoother for detected frames (see mediapipe.js): one One Euro filter per
+ * landmark coordinate of the pose, hands and face. A part that goes
+ * missing starts over when it comes back, so a hand that re-enters the
+ * frame isn't dragged in from where it left.
+ *
+ * @param {Object} [options] - see ONE_EURO_DEFAULTS
+ * @returns {{ smooth(frame, timestamp): Object, reset(): void }}
+ *   smooth returns a new frame with smoothed landmarks (the input is left
+ *   as it is); timestamp in ms
+ */
+export function createLandmarkSmoother(options = {}) {
+  let filters = {};      // part → filter per landmark coordinate
+  let lastTimestamp = null;
+
+  const reset = () => {
+    filters = {};
+    lastTimestamp = null;
+  };
+
+  const smoothPart = (part, landmarks, dt) => {
+    if (!filters[part] || filters[part].length !== landmarks.length) {
+      filters[part] = landmarks.map((p) => p.map(() => createOneEuroFilter(options)));
+    }
+    return landmarks.map((p, i) => p.map((v, k) => filters[part][i][k](v, dt)));
+  };
+
+  const smooth = (frame, timestamp) => {
+    if (lastTimestamp === null || timestamp <= lastTimestamp || timestamp - lastTimestamp > MAX_GAP_MS) {
+      filters = {};
+    }
+    const dt = lastTimestamp === null ? 0 : (timestamp - lastTimestamp) / 1000;
+    lastTimestamp = timestamp;
+
+    const smoothed = { ...frame };
+    for (const part of PARTS) {
+      if (frame[part]) {
+        smoothed[part] = smoothPart(part, frame[part], dt);
+      } else {
+        delete filters[part];
+      }
+    }
+    return smoothed;
+  };
+
+  return { smooth, reset };
+}
+
+/**
+ * Reference data smoothed like live frames, for scoring against them.
+ * Reference frames carry their time `t` in seconds. Data that is already
+ * smoothed (refData.smoothed) is returned as it is.
+ *
+ * @param {Object} refData - see processVideo
+ * @param {Object} [options] - see ONE_EURO_DEFAULTS
+ * @returns {Object} refData with smoothed frames and `smoothed: true`
+ */
+function smoothReference(refData, options = {}) {
+  if (!refData?.frames || refData.smoothed) return refData;
+  const smoother = createLandmarkSmoother(options);
+  const frames = refData.frames.map((frame) => smoother.smooth(frame, frame.t * 1000));
+  return { ...refData, frames, smoothed: true };
+}
+
+/**
+ * Reference data to score live frames against with the given settings:
+ * smoothed when live frames are, as it is otherwise.
+ *
+ * @param {Object} refData
+ * @param {Object} [settings] - learner settings (smoothing, smoothingFilter)
+ */
+export function prepareReference(refData, settings = getSettings()) {
+  return settings.smoothing ? smoothReference(refData, settings.smoothingFilter) : refData;
+}
@@ -5,11 +5,16 @@
  * Fallback: IndexedDB (browser-local)
  *
  * Each word record:
- *   { id, label, category, videoBlob?, videoUrl?, refData, createdAt }
+ *   { id, label, category, videoBlob?, videoUrl?, refData, exemplars, scoring, createdAt }
  *
  * IndexedDB stores videoBlob (Blob) locally.
  * Supabase stores videos in Storage and returns a public videoUrl.
  * refData is the extracted reference JSON (same format as public/data/*.json).
+ * exemplars are extra reference recordings of the same word (other signers,
+ * regional variants, left-handed, ...): [{ id, label, refData, createdAt }].
+ * refData stays the primary exemplar.
+ * scoring holds per-word scoring switches, e.g. { facialExpression: true }
+ * for signs whose facial expression is graded (question signs).
  */
 
 import { supabase, useSupabase } from './supabaseClient.js';
@@ -84,6 +89,12 @@ async function idbSaveWord(word) {
   });
 }
 
+async function idbUpdateWord(id, fields) {
+  const existing = await idbGetWord(id);
+  if (!existing) throw new Error(`Word "${id}" not found`);
+  return idbSaveWord({ ...existing, ...fields });
+}
+
 async function idbDeleteWord(id) {
   const db = await openDB();
   return new Promise((resolve, reject) => {
@@ -131,6 +142,8 @@ async function supaGetWord(id) {
     createdAt: new Date(data.created_at).getTime(),
     videoUrl: data.video_url || null,
     refData: data.ref_data || null,
+    exemplars: data.exemplars || [],
+    scoring: data.scoring || {},
   };
 }
 
@@ -154,14 +167,27 @@ async function supaSaveWord(word) {
     category: word.category || 'Uncategorised',
     video_url: videoUrl,
     ref_data: word.refData || null,
+    exemplars: word.exemplars || [],
+    scoring: word.scoring || {},
   };
 
   const { error } = await supabase.from('words').upsert(row);
+  // A table created before exemplars or scoring existed is missing the column
+  if (error?.code === 'PGRST204') throw new Error(`${error.message} (run supabase-upgrade.sql)`);
   if (error) throw error;
 
   return { ...word, videoUrl, createdAt: word.createdAt || Date.now() };
 }
 
+async function supaUpdateWord(id, row) {
+  // Update only the given columns so the video and primary refData stay as they are.
+  // No error when no row matches, so check one came back: a word saved to
+  // IndexedDB while Supabase was unreachable is updated there instead.
+  const { data, error } = await supabase.from('words').update(row).eq('id', id).select('id');
+  if (error) throw error;
+  if (!data?.length) throw new Error(`Word "${id}" not found in Supabase`);
+}
+
 async function supaDeleteWord(id) {
   // Delete video from Storage
   const videoPath = `${id}.mp4`;
@@ -207,6 +233,22 @@ export async function deleteWord(id) {
   return idbDeleteWord(id);
 }
 
+export async function updateExemplars(id, exemplars) {
+  if (useSupabase) {
+    try { return await supaUpdateWord(id, { exemplars }); }
+    catch (e) { console.warn('Supabase updateExemplars failed, falling back to IndexedDB:', e); }
+  }
+  return idbUpdateWord(id, { exemplars });
+}
+
+export async function updateScoring(id, scoring) {
+  if (useSupabase) {
+    try { return await supaUpdateWord(id, { scoring }); }
+    catch (e) { console.warn('Supabase updateScoring failed, falling back to IndexedDB:', e); }
+  }
+  return idbUpdateWord(id, { scoring });
+}
+
 export async function getCategories() {
   const words = await getAllWords();
   const cats = new Set(words.map((w) => w.category));
@@ -6,15 +6,33 @@
  *
  * Usage:
  *   const refData = await processVideo(videoFile, onProgress);
- *   // refData = { word, fps, duration, poseIndices, frames: [...] }
+ *   // refData = { word, fps, duration, sourceDuration, trim, poseIndices, depth, frames: [...] }
+ *
+ * Pose and hand landmarks are stored as [x, y, z] (depth: true), which
+ * enables the 3D feature set. Older references hold only [x, y].
+ * Frames also carry poseConf (per-landmark visibility) and
+ * rightHandConf/leftHandConf (handedness score) for confidence weighting,
+ * and faceBlendshapes (52 scores in MediaPipe category order) for
+ * grading facial expression.
+ *
+ * Idle time before and after the sign is trimmed (see segmentation.js):
+ * `duration` covers the sign only, `sourceDuration` the whole video and
+ * `trim` = { start, end } the kept part in video seconds (null if nothing
+ * was trimmed). Frame times `t` stay in video seconds.
+ *
+ * Hands are assigned to sides by the same tracker as in the live mirror
+ * (see handTracking.js); frames where that was uncertain carry
+ * `handsUncertain: true`. Landmarks are stored unsmoothed: scoring
+ * smooths them like the live frames when the smoothing setting is on
+ * (see prepareReference in smoothing.js).
+ *
+ * The signer's dominant hand isn't detected here: callers set
+ * `dominantHand` ("right" or "left") from the uploader's choice (AdminPage).
  */
 
-import {
-  PoseLandmarker,
-  HandLandmarker,
-  FaceLandmarker,
-  FilesetResolver,
-} from "@mediapipe/tasks-vision";
+import { loadDetection, detectFrame } from "./mediapipe";
+import { segmentSign } from "./segmentation";
+import { createHandTracker } from "./handTracking";
 
 // 33-point MediaPipe pose → 17 compact indices
 // Order: nose, leftEyeOuter, rightEyeOuter, rightShoulder, leftShoulder,
@@ -25,6 +43,29 @@ const POSE_INDICES = [0, 2, 5, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 2
 
 const TARGET_FPS = 10; // subsample to ~10 fps for ref data
 
+const round = (v, places) => Math.round(v * places) / places;
+const roundPoint = (p) => p.map((v) => round(v, 10000));
+
+/**
+ * Detected frame (see mediapipe.js) → compact reference frame: 17-point
+ * pose, coordinates to 4 decimals and scores to 2, missing parts left out.
+ */
+function toReferenceFrame(detected, seekTime) {
+  const frame = { t: round(seekTime, 1000) };
+  if (detected.pose) {
+    frame.pose = POSE_INDICES.map((idx) => roundPoint(detected.pose[idx]));
+    frame.poseConf = POSE_INDICES.map((idx) => round(detected.poseConf[idx], 100));
+  }
+  if (detected.rightHand) frame.rightHand = detected.rightHand.map(roundPoint);
+  if (detected.rightHandConf !== null) frame.rightHandConf = round(detected.rightHandConf, 100);
+  if (detected.leftHand) frame.leftHand = detected.leftHand.map(roundPoint);
+  if (detected.leftHandConf !== null) frame.leftHandConf = round(detected.leftHandConf, 100);
+  if (detected.handsUncertain) frame.handsUncertain = true;
+  if (detected.face) frame.face = detected.face.map(roundPoint);
+  if (detected.faceBlendshapes) frame.faceBlendshapes = detected.faceBlendshapes.map((v) => round(v, 100));
+  return frame;
+}
+
 /**
  * Process a video file and extract reference landmark data.
  *
@@ -35,41 +76,8 @@ const TARGET_FPS = 10; // subsample to ~10 fps for ref data
 export async function processVideo(videoFile, onProgress) {
   onProgress?.("Initialising MediaPipe...", 0);
 
-  // 1. Init MediaPipe (separate instances for processing)
-  const vision = await FilesetResolver.forVisionTasks(
-    "https://cdn.jsdelivr.net/npm/@mediapipe/tasks-vision@0.10.32/wasm"
-  );
-
-  const poseLandmarker = await PoseLandmarker.createFromOptions(vision, {
-    baseOptions: {
-      modelAssetPath:
-        "https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_lite/float16/1/pose_landmarker_lite.task",
-      delegate: "GPU",
-    },
-    runningMode: "VIDEO",
-    numPoses: 1,
-  });
-
-  const handLandmarker = await HandLandmarker.createFromOptions(vision, {
-    baseOptions: {
-      modelAssetPath:
-        "https://storage.googleapis.com/mediapipe-models/hand_landmarker/hand_landmarker/float16/1/hand_landmarker.task",
-      delegate: "GPU",
-    },
-    runningMode: "VIDEO",
-    numHands: 2,
-  });
-
-  const faceLandmarker = await FaceLandmarker.createFromOptions(vision, {
-    baseOptions: {
-      modelAssetPath:
-        "https://storage.googleapis.com/mediapipe-models/face_landmarker/face_landmarker/float16/1/face_landmarker.task",
-      delegate: "GPU",
-    },
-    runningMode: "VIDEO",
-    numFaces: 1,
-    outputFaceBlendshapes: false,
-  });
+  // 1. Load MediaPipe (shared with the mirror, see mediapipe.js)
+  await loadDetection();
 
   onProgress?.("Loading video...", 10);
 
@@ -95,7 +103,7 @@ export async function processVideo(videoFile, onProgress) {
 
   // 3. Seek through video frame by frame and extract landmarks
   const frames = [];
-  let timestamp = 1; // MediaPipe needs incrementing timestamps
+  const tracker = createHandTracker();
 
   for (let i = 0; i < totalFrames; i++) {
     const seekTime = i * frameInterval;
@@ -111,89 +119,45 @@ export async function processVideo(videoFile, onProgress) {
 
     if (video.readyState < 2) continue;
 
-    try {
-      // Detect pose
-      const poseResult = poseLandmarker.detectForVideo(video, timestamp);
-      timestamp += frameInterval * 1000;
-
-      let pose = null;
-      let rightHand = null;
-      let leftHand = null;
-
-      if (poseResult.landmarks && poseResult.landmarks.length > 0) {
-        // Extract compact 17-point subset
-        const full = poseResult.landmarks[0];
-        pose = POSE_INDICES.map((idx) => [
-          Math.round(full[idx].x * 10000) / 10000,
-          Math.round(full[idx].y * 10000) / 10000,
-        ]);
-      }
-
-      // Detect hands
-      const handResult = handLandmarker.detectForVideo(video, timestamp);
-      timestamp += 1; // bump to avoid duplicate timestamp
-
-      if (handResult.landmarks) {
-        for (let h = 0; h < handResult.landmarks.length; h++) {
-          const hand = handResult.landmarks[h].map((lm) => [
-            Math.round(lm.x * 10000) / 10000,
-            Math.round(lm.y * 10000) / 10000,
-          ]);
-          const label = handResult.handednesses[h]?.[0]?.categoryName;
-          // Video is NOT mirrored (unlike webcam), so labels are direct
-          if (label === "Right") {
-            rightHand = hand;
-          } else {
-            leftHand = hand;
-          }
-        }
-      }
-
-      // Detect face mesh
-      let face = null;
-      const faceResult = faceLandmarker.detectForVideo(video, timestamp);
-      timestamp += 1;
-      if (faceResult.faceLandmarks && faceResult.faceLandmarks.length > 0) {
-        face = faceResult.faceLandmarks[0].map((lm) => [
-          Math.round(lm.x * 10000) / 10000,
-          Math.round(lm.y * 10000) / 10000,
-        ]);
-      }
-
-      const frame = { t: Math.round(seekTime * 1000) / 1000 };
-      if (pose) frame.pose = pose;
-      if (rightHand) frame.rightHand = rightHand;
-      if (leftHand) frame.leftHand = leftHand;
-      if (face) frame.face = face;
-
-      // Only add frames with at least pose data
-      if (pose) {
-        frames.push(frame);
-      }
-    } catch (e) {
-      console.warn(`Frame ${i} detection failed:`, e);
-    }
+    // Video is NOT mirrored (unlike webcam), so handedness labels are direct
+    const detected = tracker.assign(detectFrame(video, seekTime * 1000), seekTime * 1000);
+    // Only add frames with at least pose data
+    if (detected.pose) frames.push(toReferenceFrame(detected, seekTime));
 
     const pct = 15 + Math.round((i / totalFrames) * 80);
     onProgress?.(`Frame ${i + 1}/${totalFrames}`, pct);
   }
 
   // 4. Cleanup
-  poseLandmarker.close();
-  handLandmarker.close();
-  faceLandmarker.close();
   URL.revokeObjectURL(videoUrl);
 
+  // 5. Trim idle head and tail
+  const segment = segmentSign(frames);
+  let kept = frames;
+  let trim = null;
+  let signDuration = duration;
+  if (segment.active && (segment.start > 0 || segment.end < frames.length - 1)) {
+    kept = frames.slice(segment.start, segment.end + 1);
+    const start = kept[0].t;
+    const end = Math.min(duration, kept[kept.length - 1].t + frameInterval);
+    trim = { start, end: Math.round(end * 1000) / 1000 };
+    signDuration = end - start;
+    console.log(`Trimmed idle frames: kept ${segment.start}-${segment.end} of ${frames.length} (${start}s-${trim.end}s)`);
+  }
+
   onProgress?.("Done!", 100);
 
-  const actualFps = frames.length / duration;
+  const actualFps = kept.length / signDuration;
 
   return {
     word: "",
     videoPath: "",
     fps: Math.round(actualFps * 10) / 10,
-    duration: Math.round(duration * 100) / 100,
+    duration: Math.round(signDuration * 100) / 100,
+    sourceDuration: Math.round(duration * 100) / 100,
+    trim,
     poseIndices: POSE_INDICES,
-    frames,
+    depth: true,
+    frames: kept,
   };
 }
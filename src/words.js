@@ -4,6 +4,10 @@
  * 1. Put the video in public/videos/
  * 2. Run extract_landmarks.py on it, save compact ref to public/data/
  * 3. Add an entry here
+ *
+ * Optional per-word scoring switches:
+ *   scoring: { facialExpression: true }  // grade facial expression (e.g. question signs)
+ *   scoring: { profile: "gentle" }       // scoring profile for this word (see scoringProfiles.js)
  */
 const WORDS = [];
 
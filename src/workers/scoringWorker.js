@@ -0,0 +1,33 @@
+/**
+ * Scoring worker: runs feature extraction + DTW off the main thread.
+ *
+ * Messages in:  { id, method, args }
+ * Messages out: { id, result } or { id, error }
+ *
+ * Use through utils/scoringClient.js rather than posting to it directly.
+ */
+
+import { compareDTW, compareExemplars, recognizeSign, findConfusableSign } from "../utils/poseComparison";
+import "../utils/experimentalFeatures";
+
+// Methods the main thread may call
+const METHODS = {
+  compareDTW,
+  compareExemplars,
+  recognizeSign,
+  findConfusableSign,
+};
+
+self.onmessage = (e) => {
+  const { id, method, args } = e.data;
+  const fn = METHODS[method];
+  if (!fn) {
+    self.postMessage({ id, error: `Unknown scoring method: ${method}` });
+    return;
+  }
+  try {
+    self.postMessage({ id, result: fn(...args) });
+  } catch (err) {
+    self.postMessage({ id, error: err.message || String(err) });
+  }
+};
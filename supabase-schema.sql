@@ -8,6 +8,8 @@ create table words (
   category text default 'Uncategorised',
   video_url text,
   ref_data jsonb,
+  exemplars jsonb default '[]'::jsonb,
+  scoring jsonb default '{}'::jsonb,
   created_at timestamptz default now()
 );
 
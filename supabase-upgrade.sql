@@ -0,0 +1,9 @@
+-- Magic Mirror: Supabase schema upgrade
+-- Run this in the Supabase SQL Editor on a database created with an older
+-- supabase-schema.sql. Safe to run more than once.
+
+-- Extra reference exemplars per word
+alter table words add column if not exists exemplars jsonb default '[]'::jsonb;
+
+-- Per-word scoring switches (graded facial expression)
+alter table words add column if not exists scoring jsonb default '{}'::jsonb;